@@ -0,0 +1,315 @@
+/**
+ * Actogram Rendering Module
+ * Draws every calendar day as its own row, double-plotted (each row shows that day and the next)
+ * so overnight sleep reads as one continuous block and schedule drift over weeks is visible
+ */
+
+const Actogram = (function() {
+  'use strict';
+
+  // Each row covers two days
+  const MINUTES_PER_ROW = 2 * 1440;
+  const MS_PER_MINUTE = 60000;
+
+  // Instant events (bottle, diaper) are drawn as ticks this many minutes wide
+  const TICK_MINUTES = 8;
+
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+
+  /**
+   * Get local midnight for a date
+   * @param {Date} date - Any time on the day
+   * @returns {Date} - Midnight at the start of that day
+   */
+  function startOfDay(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  }
+
+  /**
+   * Add whole days to a date, keeping local midnight across DST changes
+   * @param {Date} date - Midnight of a day
+   * @param {number} days - Days to add (may be negative)
+   * @returns {Date} - Midnight of the resulting day
+   */
+  function addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+  }
+
+  /**
+   * Get the time span an activity is drawn over, instant events as a tick TICK_MINUTES wide
+   * @param {Object} activity - Duration-based or instant activity
+   * @returns {Object} - { start, end } in milliseconds
+   */
+  function getSpan(activity) {
+    if (activity.start) {
+      const start = activity.start.getTime();
+      return { start, end: start + activity.durationMinutes * MS_PER_MINUTE };
+    }
+    const time = activity.time.getTime();
+    return { start: time, end: time + TICK_MINUTES * MS_PER_MINUTE };
+  }
+
+  /**
+   * Get the first and last day covered by a set of activities
+   * @param {Object} activities - Object with arrays for each activity type
+   * @returns {Object|null} - { firstDay, lastDay } as midnights, or null if there are no activities
+   */
+  function getDayRange(activities) {
+    let first = Infinity;
+    let last = -Infinity;
+
+    for (const type in activities) {
+      for (const activity of activities[type]) {
+        const { start, end } = getSpan(activity);
+        first = Math.min(first, start);
+        last = Math.max(last, end - 1);
+      }
+    }
+
+    if (first === Infinity) return null;
+    return { firstDay: startOfDay(new Date(first)), lastDay: startOfDay(new Date(last)) };
+  }
+
+  /**
+   * Format a day label like "Mon Jan 13"
+   * @param {Date} date - The day
+   * @returns {string} - Label text
+   */
+  function formatDayLabel(date) {
+    const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+    return `${days[date.getDay()]} ${months[date.getMonth()]} ${date.getDate()}`;
+  }
+
+  /**
+   * Render the actogram as an SVG
+   * @param {Object} activities - Filtered activities, keyed by type
+   * @param {Object} visibility - Object mapping layers (activity types and sub-layers) to boolean visibility
+   * @param {HTMLElement} container - Container element for the SVG
+   * @returns {SVGElement|null} - The SVG, or null if there was nothing to draw
+   */
+  function render(activities, visibility, container) {
+    container.innerHTML = '';
+
+    const range = getDayRange(activities);
+    if (!range) return null;
+
+    // One row per day from the first to the last day, including days with nothing logged
+    const dayStarts = [];
+    for (let day = range.firstDay; day <= range.lastDay; day = addDays(day, 1)) {
+      dayStarts.push(day);
+    }
+    const rowCount = dayStarts.length;
+    // Two extra boundaries so every row can look up the end of its second day
+    dayStarts.push(addDays(range.lastDay, 1), addDays(range.lastDay, 2));
+
+    const rowIndexByDay = new Map(dayStarts.map((day, index) => [day.getTime(), index]));
+
+    // SVG dimensions
+    const margin = { top: 24, right: 20, bottom: 10, left: 80 };
+    const width = 700;
+    const rowHeight = 14;
+    const chartWidth = width - margin.left - margin.right;
+    const height = rowCount * rowHeight + margin.top + margin.bottom;
+    const pixelsPerMinute = chartWidth / MINUTES_PER_ROW;
+
+    const isDarkMode = window.matchMedia('(prefers-color-scheme: dark)').matches;
+    const gridColor = isDarkMode ? '#404040' : '#E0E0E0';
+    const labelColor = isDarkMode ? '#A0A0A0' : '#757575';
+
+    const svg = document.createElementNS(SVG_NS, 'svg');
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    svg.setAttribute('preserveAspectRatio', 'xMidYMid meet');
+
+    const bg = document.createElementNS(SVG_NS, 'rect');
+    bg.setAttribute('width', width);
+    bg.setAttribute('height', height);
+    bg.setAttribute('fill', isDarkMode ? '#1E1E1E' : '#FFFFFF');
+    svg.appendChild(bg);
+
+    const chartGroup = document.createElementNS(SVG_NS, 'g');
+    chartGroup.setAttribute('transform', `translate(${margin.left}, ${margin.top})`);
+    svg.appendChild(chartGroup);
+
+    // Hour axis: every 6 hours across both days
+    for (let hour = 0; hour <= 48; hour += 6) {
+      const x = hour * 60 * pixelsPerMinute;
+
+      const label = document.createElementNS(SVG_NS, 'text');
+      label.setAttribute('x', x);
+      label.setAttribute('y', -8);
+      label.setAttribute('text-anchor', 'middle');
+      label.setAttribute('class', 'hour-label');
+      label.setAttribute('fill', labelColor);
+      label.textContent = `${String(hour % 24).padStart(2, '0')}:00`;
+      chartGroup.appendChild(label);
+
+      const gridLine = document.createElementNS(SVG_NS, 'line');
+      gridLine.setAttribute('x1', x);
+      gridLine.setAttribute('y1', 0);
+      gridLine.setAttribute('x2', x);
+      gridLine.setAttribute('y2', rowCount * rowHeight);
+      gridLine.setAttribute('class', 'hour-grid-line');
+      gridLine.setAttribute('stroke', gridColor);
+      // Emphasize midnight between the two plotted days
+      gridLine.setAttribute('stroke-width', hour === 24 ? 2 : 1);
+      chartGroup.appendChild(gridLine);
+    }
+
+    // Day labels and row separators
+    for (let row = 0; row < rowCount; row++) {
+      const y = row * rowHeight;
+
+      const label = document.createElementNS(SVG_NS, 'text');
+      label.setAttribute('x', -8);
+      label.setAttribute('y', y + rowHeight / 2 + 4);
+      label.setAttribute('text-anchor', 'end');
+      label.setAttribute('class', 'hour-label');
+      label.setAttribute('fill', labelColor);
+      label.textContent = formatDayLabel(dayStarts[row]);
+      chartGroup.appendChild(label);
+
+      const rowLine = document.createElementNS(SVG_NS, 'line');
+      rowLine.setAttribute('x1', 0);
+      rowLine.setAttribute('y1', y + rowHeight);
+      rowLine.setAttribute('x2', chartWidth);
+      rowLine.setAttribute('y2', y + rowHeight);
+      rowLine.setAttribute('class', 'hour-grid-line');
+      rowLine.setAttribute('stroke', gridColor);
+      rowLine.setAttribute('stroke-opacity', 0.5);
+      chartGroup.appendChild(rowLine);
+    }
+
+    // Draw each activity in every row whose 48-hour window it overlaps:
+    // its own day's row (left half) and the previous day's row (right half)
+    for (const type in activities) {
+      for (const activity of activities[type]) {
+        const layer = Heatmap.getActivityLayer(activity);
+        // Drawn in its own layer's color when any layer showing it is on, e.g. a bottle under "All feeds"
+        if (!Heatmap.getDrawnLayers(activity).some(drawn => visibility[drawn])) continue;
+
+        const { start, end } = getSpan(activity);
+        const firstRow = rowIndexByDay.get(startOfDay(new Date(start)).getTime()) - 1;
+        const lastRow = rowIndexByDay.get(startOfDay(new Date(end - 1)).getTime());
+
+        for (let row = Math.max(0, firstRow); row <= Math.min(rowCount - 1, lastRow); row++) {
+          const rowStart = dayStarts[row].getTime();
+          const rowEnd = dayStarts[row + 2].getTime();
+          const segmentStart = Math.max(start, rowStart);
+          const segmentEnd = Math.min(end, rowEnd);
+          if (segmentEnd <= segmentStart) continue;
+
+          const rect = document.createElementNS(SVG_NS, 'rect');
+          rect.setAttribute('x', (segmentStart - rowStart) / MS_PER_MINUTE * pixelsPerMinute);
+          rect.setAttribute('y', row * rowHeight + 2);
+          rect.setAttribute('width', Math.max(1, (segmentEnd - segmentStart) / MS_PER_MINUTE * pixelsPerMinute));
+          rect.setAttribute('height', rowHeight - 4);
+          rect.setAttribute('fill', Heatmap.ACTIVITY_COLORS[layer]);
+          rect.setAttribute('opacity', 0.85);
+          rect.setAttribute('class', 'activity-bar');
+          chartGroup.appendChild(rect);
+        }
+      }
+    }
+
+    // Mark the current time in today's row and yesterday's right half
+    const now = Date.now();
+    for (let row = 0; row < rowCount; row++) {
+      const rowStart = dayStarts[row].getTime();
+      if (now < rowStart || now >= dayStarts[row + 2].getTime()) continue;
+
+      const marker = document.createElementNS(SVG_NS, 'rect');
+      marker.setAttribute('x', (now - rowStart) / MS_PER_MINUTE * pixelsPerMinute - 1);
+      marker.setAttribute('y', row * rowHeight);
+      marker.setAttribute('width', 2);
+      marker.setAttribute('height', rowHeight);
+      marker.setAttribute('fill', '#E53935');
+      chartGroup.appendChild(marker);
+    }
+
+    // Single hover target over the whole chart
+    const hoverTarget = document.createElementNS(SVG_NS, 'rect');
+    hoverTarget.setAttribute('x', 0);
+    hoverTarget.setAttribute('y', 0);
+    hoverTarget.setAttribute('width', chartWidth);
+    hoverTarget.setAttribute('height', rowCount * rowHeight);
+    hoverTarget.setAttribute('fill', 'transparent');
+    hoverTarget.setAttribute('class', 'hover-target');
+    chartGroup.appendChild(hoverTarget);
+
+    container.appendChild(svg);
+
+    // Store reference to chart dimensions for tooltip calculation
+    svg._actogramInfo = {
+      margin,
+      chartWidth,
+      rowHeight,
+      rowCount,
+      pixelsPerMinute,
+      dayStarts
+    };
+
+    return svg;
+  }
+
+  /**
+   * Get the point in time under the mouse
+   * @param {SVGElement} svg - The SVG element from render
+   * @param {MouseEvent} event - The mouse event
+   * @returns {Date|null} - The time under the cursor, or null if outside the chart
+   */
+  function getTimeFromEvent(svg, event) {
+    const info = svg._actogramInfo;
+    if (!info) return null;
+
+    const rect = svg.getBoundingClientRect();
+    const viewBox = svg.viewBox.baseVal;
+    const chartX = (event.clientX - rect.left) * (viewBox.width / rect.width) - info.margin.left;
+    const chartY = (event.clientY - rect.top) * (viewBox.height / rect.height) - info.margin.top;
+
+    if (chartX < 0 || chartX > info.chartWidth) return null;
+    if (chartY < 0 || chartY >= info.rowCount * info.rowHeight) return null;
+
+    const row = Math.floor(chartY / info.rowHeight);
+    const minute = Math.min(Math.floor(chartX / info.pixelsPerMinute), MINUTES_PER_ROW - 1);
+
+    return new Date(info.dayStarts[row].getTime() + minute * MS_PER_MINUTE);
+  }
+
+  /**
+   * Highlight one day's row, replacing any earlier highlight
+   * @param {SVGElement} svg - SVG from render
+   * @param {Date} date - Any time on the day
+   * @returns {SVGElement|null} - The highlight, or null if the day has no row in this chart
+   */
+  function highlightDay(svg, date) {
+    const info = svg._actogramInfo;
+    svg.querySelectorAll('.actogram-highlight').forEach(highlight => highlight.remove());
+    if (!info) return null;
+
+    const dayTime = startOfDay(date).getTime();
+    const row = info.dayStarts.slice(0, info.rowCount).findIndex(day => day.getTime() === dayTime);
+    if (row === -1) return null;
+
+    // Behind the activity bars, across the labels too so the day name stands out
+    const highlight = document.createElementNS(SVG_NS, 'rect');
+    highlight.setAttribute('x', 0);
+    highlight.setAttribute('y', info.margin.top + row * info.rowHeight);
+    highlight.setAttribute('width', svg.viewBox.baseVal.width);
+    highlight.setAttribute('height', info.rowHeight);
+    highlight.setAttribute('fill', '#FFD54F');
+    highlight.setAttribute('opacity', 0.4);
+    highlight.setAttribute('class', 'actogram-highlight');
+    svg.insertBefore(highlight, svg.firstChild.nextSibling);
+
+    return highlight;
+  }
+
+  // Public API
+  return {
+    render,
+    getSpan,
+    getTimeFromEvent,
+    highlightDay
+  };
+})();
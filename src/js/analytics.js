@@ -0,0 +1,583 @@
+/**
+ * Analytics Module
+ * Derives wake windows (end of one sleep to the start of the next) and feed intervals
+ * (start of one feed to the start of the next) and summarizes them by time of day,
+ * totals activities per calendar day for trend charts, and summarizes nursing sides and pumping output
+ */
+
+const Analytics = (function() {
+  'use strict';
+
+  const MS_PER_MINUTE = 60000;
+
+  // Gaps longer than this are treated as missing logs rather than real intervals
+  const MAX_INTERVAL_MINUTES = 12 * 60;
+
+  // Time-of-day buckets, by the hour an interval starts
+  const TIME_BUCKETS = [
+    { key: 'overnight', name: 'Overnight (00-06)', startHour: 0, endHour: 6 },
+    { key: 'morning', name: 'Morning (06-12)', startHour: 6, endHour: 12 },
+    { key: 'afternoon', name: 'Afternoon (12-18)', startHour: 12, endHour: 18 },
+    { key: 'evening', name: 'Evening (18-24)', startHour: 18, endHour: 24 }
+  ];
+
+  // Activity types that count as a feed
+  const FEED_TYPES = ['nursing', 'bottle'];
+
+  // A feed starting within this many minutes of the previous one ending is part of it (a top-up or side switch)
+  const FEED_MERGE_MINUTES = 30;
+
+  // Daily totals shown as trends; type selects the activity (and its color)
+  const TREND_METRICS = [
+    { key: 'sleepHours', label: 'Total sleep', type: 'sleep', unit: 'hours' },
+    { key: 'napCount', label: 'Naps', type: 'sleep', unit: 'count' },
+    { key: 'nursingMinutes', label: 'Nursing time', type: 'nursing', unit: 'minutes' },
+    { key: 'bottleOunces', label: 'Bottle intake', type: 'bottle', unit: 'ounces' },
+    { key: 'pumpOunces', label: 'Pump output', type: 'pumping', unit: 'ounces' },
+    { key: 'diaperCount', label: 'Diapers', type: 'diaper', unit: 'count' }
+  ];
+
+  // Daily totals kept alongside the trend metrics (minutes nursed on each side, feeds from getFeeds)
+  const DAILY_TOTAL_KEYS = [...TREND_METRICS.map(metric => metric.key), 'nursingLeftMinutes', 'nursingRightMinutes', 'feedCount'];
+
+  // Nursing sides, as written in the export's Start Side column
+  const SIDES = {
+    left: 'Left',
+    right: 'Right'
+  };
+
+  // Ways of telling naps from night sleep
+  const SLEEP_CLASSIFICATIONS = {
+    fixed: 'fixed',     // Naps fall within fixed daytime hours
+    longest: 'longest'  // The longest sleep of each noon-to-noon day is night sleep, the rest are naps
+  };
+
+  // Default daytime hours for naps: start at or after 8:00 and end before 19:30 on the same day
+  const NAP_START_MINUTE = 8 * 60;
+  const NAP_END_MINUTE = 19 * 60 + 30;
+
+  /**
+   * Get the time-of-day bucket for a moment
+   * @param {Date} date - The moment
+   * @returns {Object} - Entry from TIME_BUCKETS
+   */
+  function getBucket(date) {
+    const hour = date.getHours();
+    return TIME_BUCKETS.find(bucket => hour >= bucket.startHour && hour < bucket.endHour);
+  }
+
+  /**
+   * Build intervals between consecutive points, dropping overlaps and logging gaps
+   * @param {Array} points - Array of { from, to } in milliseconds, where "to" is the next event's start
+   * @returns {Array} - Array of { start: Date, end: Date, minutes, bucket }
+   */
+  function buildIntervals(points) {
+    const intervals = [];
+
+    for (const { from, to } of points) {
+      const minutes = (to - from) / MS_PER_MINUTE;
+      if (minutes <= 0 || minutes > MAX_INTERVAL_MINUTES) continue;
+
+      const start = new Date(from);
+      intervals.push({
+        start,
+        end: new Date(to),
+        minutes,
+        bucket: getBucket(start).key
+      });
+    }
+
+    return intervals;
+  }
+
+  /**
+   * Get wake windows: the time from the end of each sleep to the start of the next
+   * @param {Array} sleeps - Sleep activities
+   * @returns {Array} - Array of { start: Date, end: Date, minutes, bucket }
+   */
+  function getWakeWindows(sleeps) {
+    const sorted = [...sleeps].sort((a, b) => a.start - b.start);
+    const points = [];
+
+    for (let i = 1; i < sorted.length; i++) {
+      const previous = sorted[i - 1];
+      points.push({
+        from: previous.start.getTime() + previous.durationMinutes * MS_PER_MINUTE,
+        to: sorted[i].start.getTime()
+      });
+    }
+
+    return buildIntervals(points);
+  }
+
+  /**
+   * Get feed intervals: the time from the start of each feed (nursing or bottle) to the start of the next
+   * @param {Object} activities - Object with arrays for each activity type
+   * @returns {Array} - Array of { start: Date, end: Date, minutes, bucket }
+   */
+  function getFeedIntervals(activities) {
+    const starts = [];
+    for (const type of FEED_TYPES) {
+      for (const activity of activities[type] || []) {
+        starts.push((activity.start || activity.time).getTime());
+      }
+    }
+    starts.sort((a, b) => a - b);
+
+    const points = [];
+    for (let i = 1; i < starts.length; i++) {
+      points.push({ from: starts[i - 1], to: starts[i] });
+    }
+
+    return buildIntervals(points);
+  }
+
+  /**
+   * Combine nursing sessions and bottle feeds into one feed timeline
+   * Feeds that follow each other closely are merged, so nursing topped up with a bottle counts once
+   * @param {Object} activities - Object with arrays for each activity type
+   * @returns {Array} - Array of { start: Date, end: Date, nursingMinutes, bottleOunces, activities }, oldest first
+   */
+  function getFeeds(activities) {
+    const spans = FEED_TYPES
+      .flatMap(type => activities[type] || [])
+      .map(activity => {
+        const start = (activity.start || activity.time).getTime();
+        return { start, end: start + (activity.durationMinutes || 0) * MS_PER_MINUTE, activity };
+      })
+      .sort((a, b) => a.start - b.start);
+
+    const feeds = [];
+    let current = null;
+
+    for (const span of spans) {
+      if (!current || span.start - current.end > FEED_MERGE_MINUTES * MS_PER_MINUTE) {
+        current = { start: span.start, end: span.end, nursingMinutes: 0, bottleOunces: 0, activities: [] };
+        feeds.push(current);
+      }
+      current.end = Math.max(current.end, span.end);
+      current.activities.push(span.activity);
+      if (span.activity.type === 'nursing') current.nursingMinutes += span.activity.durationMinutes;
+      if (span.activity.type === 'bottle') current.bottleOunces += span.activity.amount || 0;
+    }
+
+    return feeds.map(feed => ({ ...feed, start: new Date(feed.start), end: new Date(feed.end) }));
+  }
+
+  /**
+   * Summarize interval lengths
+   * @param {Array} intervals - Intervals from getWakeWindows or getFeedIntervals
+   * @returns {Object} - { count, median, min, max } in minutes (zeros when empty)
+   */
+  function summarize(intervals) {
+    if (intervals.length === 0) {
+      return { count: 0, median: 0, min: 0, max: 0 };
+    }
+
+    const sorted = intervals.map(interval => interval.minutes).sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+
+    return {
+      count: sorted.length,
+      median: sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle],
+      min: sorted[0],
+      max: sorted[sorted.length - 1]
+    };
+  }
+
+  /**
+   * Summarize intervals for each time-of-day bucket
+   * @param {Array} intervals - Intervals from getWakeWindows or getFeedIntervals
+   * @returns {Array} - Array of { key, name, count, median, min, max }, in TIME_BUCKETS order
+   */
+  function summarizeByBucket(intervals) {
+    return TIME_BUCKETS.map(bucket => ({
+      key: bucket.key,
+      name: bucket.name,
+      ...summarize(intervals.filter(interval => interval.bucket === bucket.key))
+    }));
+  }
+
+  /**
+   * Get the wake window in progress, if the baby is awake now
+   * @param {Array} sleeps - Sleep activities
+   * @param {Date} now - Current time (defaults to now)
+   * @returns {Object|null} - { start: Date, minutes, bucket }, or null if asleep or nothing was logged recently
+   */
+  function getCurrentWakeWindow(sleeps, now = new Date()) {
+    let lastEnd = -Infinity;
+    for (const sleep of sleeps) {
+      if (sleep.start > now) continue;
+      lastEnd = Math.max(lastEnd, sleep.start.getTime() + sleep.durationMinutes * MS_PER_MINUTE);
+    }
+
+    const minutes = (now.getTime() - lastEnd) / MS_PER_MINUTE;
+    if (minutes < 0 || minutes > MAX_INTERVAL_MINUTES) return null;
+
+    const start = new Date(lastEnd);
+    return { start, minutes, bucket: getBucket(start).key };
+  }
+
+  /**
+   * Compare a wake window in progress with the typical ones for its time of day
+   * @param {Object} current - Result from getCurrentWakeWindow
+   * @param {Array} bucketSummaries - Result from summarizeByBucket for wake windows
+   * @returns {Object|null} - { bucket, status: 'typical' | 'long' | 'longest' }, or null with no history to compare
+   *   'long' means past the median, 'longest' past every wake window seen at that time of day
+   */
+  function compareCurrentWakeWindow(current, bucketSummaries) {
+    const bucket = bucketSummaries.find(summary => summary.key === current.bucket);
+    if (!bucket || bucket.count === 0) return null;
+
+    let status = 'typical';
+    if (current.minutes > bucket.max) {
+      status = 'longest';
+    } else if (current.minutes > bucket.median) {
+      status = 'long';
+    }
+
+    return { bucket, status };
+  }
+
+  /**
+   * Check whether a sleep falls within daytime nap hours
+   * @param {Object} sleep - Sleep activity
+   * @param {number} napStartMinute - Earliest nap start, in minutes since midnight
+   * @param {number} napEndMinute - Naps end before this, in minutes since midnight
+   * @returns {boolean} - True for a nap
+   */
+  function isWithinNapHours(sleep, napStartMinute, napEndMinute) {
+    const end = new Date(sleep.start.getTime() + sleep.durationMinutes * MS_PER_MINUTE);
+    const startMinutes = sleep.start.getHours() * 60 + sleep.start.getMinutes();
+    const endMinutes = end.getHours() * 60 + end.getMinutes();
+    // A sleep that runs past midnight ends "earlier" than it starts, so it is never a nap
+    return startMinutes >= napStartMinute && endMinutes < napEndMinute && endMinutes > startMinutes;
+  }
+
+  /**
+   * Check whether a sleep is a daytime nap rather than night sleep
+   * Uses the classification stored by classifySleeps, falling back to the default nap hours
+   * @param {Object} sleep - Sleep activity
+   * @returns {boolean} - True for a nap
+   */
+  function isNap(sleep) {
+    if (sleep.sleepKind) return sleep.sleepKind === 'nap';
+    return isWithinNapHours(sleep, NAP_START_MINUTE, NAP_END_MINUTE);
+  }
+
+  /**
+   * Classify each sleep as a nap or night sleep, storing the result as sleep.sleepKind ('nap' or 'night')
+   * @param {Array} sleeps - Sleep activities (modified in place)
+   * @param {Object} options - { mode, napStartMinute, napEndMinute }; mode is one of SLEEP_CLASSIFICATIONS
+   *   and the nap hours apply to the fixed mode
+   */
+  function classifySleeps(sleeps, options) {
+    if (options.mode !== SLEEP_CLASSIFICATIONS.longest) {
+      for (const sleep of sleeps) {
+        sleep.sleepKind = isWithinNapHours(sleep, options.napStartMinute, options.napEndMinute) ? 'nap' : 'night';
+      }
+      return;
+    }
+
+    // Days run noon to noon so a night that starts before midnight and one that starts after
+    // both belong to the evening they began; each baby gets their own night sleep
+    const longestByDay = new Map();
+    for (const sleep of sleeps) {
+      const day = `${sleep.baby || ''}|${getDayKey(new Date(sleep.start.getTime() - 12 * 60 * MS_PER_MINUTE))}`;
+      const longest = longestByDay.get(day);
+      if (!longest || sleep.durationMinutes > longest.durationMinutes) {
+        longestByDay.set(day, sleep);
+      }
+      sleep.sleepKind = 'nap';
+    }
+    longestByDay.forEach(sleep => {
+      sleep.sleepKind = 'night';
+    });
+  }
+
+  /**
+   * Get the YYYY-MM-DD key for a date
+   * @param {Date} date - The date
+   * @returns {string} - Date string
+   */
+  function getDayKey(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+  }
+
+  /**
+   * Total each trend metric per calendar day
+   * Sleep minutes are split at midnight so each day gets the part that fell on it;
+   * everything else counts on the day it started. Days with nothing logged at all have null totals
+   * so charts show a gap instead of a misleading zero
+   * @param {Object} activities - Object with arrays for each activity type
+   * @returns {Array} - One { date, logged, sleepHours, napCount, ... } per day from the first to the last
+   *   day with activity, keys from TREND_METRICS plus nursingLeftMinutes, nursingRightMinutes and feedCount
+   */
+  function getDailyTotals(activities) {
+    const days = [];
+    const daysByKey = new Map();
+
+    let start = Infinity;
+    let end = -Infinity;
+    for (const type in activities) {
+      for (const activity of activities[type]) {
+        const time = (activity.start || activity.time).getTime();
+        start = Math.min(start, time);
+        end = Math.max(end, time);
+      }
+    }
+    if (start === Infinity) return days;
+    start = new Date(start);
+
+    let day = new Date(start.getFullYear(), start.getMonth(), start.getDate());
+    while (day <= end) {
+      const totals = { date: day, logged: false };
+      DAILY_TOTAL_KEYS.forEach(key => {
+        totals[key] = 0;
+      });
+      days.push(totals);
+      daysByKey.set(getDayKey(day), totals);
+      day = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1);
+    }
+
+    // Add to a day's total, ignoring days outside the range
+    const add = (date, key, value) => {
+      const totals = daysByKey.get(getDayKey(date));
+      if (!totals) return;
+      totals[key] += value;
+      totals.logged = true;
+    };
+
+    for (const sleep of activities.sleep || []) {
+      let segmentStart = sleep.start.getTime();
+      const sleepEnd = segmentStart + sleep.durationMinutes * MS_PER_MINUTE;
+      while (segmentStart < sleepEnd) {
+        const startDate = new Date(segmentStart);
+        const nextMidnight = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate() + 1).getTime();
+        const segmentEnd = Math.min(sleepEnd, nextMidnight);
+        add(startDate, 'sleepHours', (segmentEnd - segmentStart) / MS_PER_MINUTE / 60);
+        segmentStart = segmentEnd;
+      }
+      if (isNap(sleep)) add(sleep.start, 'napCount', 1);
+    }
+
+    for (const nursing of activities.nursing || []) {
+      add(nursing.start, 'nursingMinutes', nursing.durationMinutes);
+      add(nursing.start, 'nursingLeftMinutes', nursing.leftMinutes || 0);
+      add(nursing.start, 'nursingRightMinutes', nursing.rightMinutes || 0);
+    }
+    for (const bottle of activities.bottle || []) {
+      add(bottle.time, 'bottleOunces', bottle.amount || 0);
+    }
+    for (const pumping of activities.pumping || []) {
+      add(pumping.start, 'pumpOunces', pumping.totalAmount || 0);
+    }
+    for (const diaper of activities.diaper || []) {
+      add(diaper.time, 'diaperCount', 1);
+    }
+    for (const feed of getFeeds(activities)) {
+      add(feed.start, 'feedCount', 1);
+    }
+
+    for (const totals of days) {
+      if (totals.logged) continue;
+      DAILY_TOTAL_KEYS.forEach(key => {
+        totals[key] = null;
+      });
+    }
+
+    return days;
+  }
+
+  /**
+   * Count wet and dirty diapers per calendar day
+   * A mixed diaper counts as both wet and dirty
+   * @param {Array} diapers - Diaper activities
+   * @returns {Array} - Array of { day (YYYY-MM-DD), date, wet, dirty, total }, oldest first,
+   *   only for days with at least one change logged
+   */
+  function countDiapersByDay(diapers) {
+    const countsByDay = new Map();
+
+    for (const diaper of diapers) {
+      const day = getDayKey(diaper.time);
+      if (!countsByDay.has(day)) {
+        const date = new Date(diaper.time.getFullYear(), diaper.time.getMonth(), diaper.time.getDate());
+        countsByDay.set(day, { day, date, wet: 0, dirty: 0, total: 0 });
+      }
+
+      const counts = countsByDay.get(day);
+      const status = String(diaper.status).toLowerCase();
+      counts.total++;
+      if (status === 'wet' || status === 'mixed') counts.wet++;
+      if (status === 'dirty' || status === 'mixed') counts.dirty++;
+    }
+
+    return Array.from(countsByDay.values()).sort((a, b) => a.date - b.date);
+  }
+
+  /**
+   * Get the side(s) a nursing session used
+   * Older exports may only have the start side, which is then taken as the only side used
+   * @param {Object} nursing - Nursing activity
+   * @returns {Object} - { left, right } booleans
+   */
+  function getSidesUsed(nursing) {
+    if (nursing.leftMinutes > 0 || nursing.rightMinutes > 0) {
+      return { left: nursing.leftMinutes > 0, right: nursing.rightMinutes > 0 };
+    }
+    return { left: nursing.startSide === SIDES.left, right: nursing.startSide === SIDES.right };
+  }
+
+  /**
+   * Suggest which side to start the next nursing session on
+   * After a one-sided feed, start on the other side; after using both, start on the side the feed ended on,
+   * which is the one opposite the start side
+   * @param {Array} nursings - Nursing activities
+   * @returns {Object|null} - { side ('Left' or 'Right'), last (the session it is based on) }, or null
+   *   if no session records a side
+   */
+  function suggestNextSide(nursings) {
+    let last = null;
+    for (const nursing of nursings) {
+      const sides = getSidesUsed(nursing);
+      if (!sides.left && !sides.right) continue;
+      if (!last || nursing.start > last.start) last = nursing;
+    }
+    if (!last) return null;
+
+    const sides = getSidesUsed(last);
+    let side;
+    if (sides.left && sides.right) {
+      side = last.startSide === SIDES.left ? SIDES.right : SIDES.left;
+    } else {
+      side = sides.left ? SIDES.right : SIDES.left;
+    }
+
+    return { side, last };
+  }
+
+  /**
+   * Summarize time spent on each side
+   * @param {Array} nursings - Nursing activities
+   * @returns {Object} - { sessions (with per-side durations), avgLeftMinutes, avgRightMinutes, leftShare (0-1) }
+   */
+  function summarizeSides(nursings) {
+    const withSides = nursings.filter(nursing => nursing.leftMinutes > 0 || nursing.rightMinutes > 0);
+    const left = withSides.reduce((sum, nursing) => sum + nursing.leftMinutes, 0);
+    const right = withSides.reduce((sum, nursing) => sum + nursing.rightMinutes, 0);
+
+    return {
+      sessions: withSides.length,
+      avgLeftMinutes: withSides.length > 0 ? left / withSides.length : 0,
+      avgRightMinutes: withSides.length > 0 ? right / withSides.length : 0,
+      leftShare: left + right > 0 ? left / (left + right) : 0
+    };
+  }
+
+  /**
+   * Summarize the output of a set of pumping sessions
+   * Sessions without a recorded amount count as sessions but are left out of output and efficiency
+   * @param {Array} pumpings - Pumping activities
+   * @returns {Object} - { sessions, measured, avgOunces (per measured session), ouncesPerMinute }
+   */
+  function summarizeOutput(pumpings) {
+    const measured = pumpings.filter(pumping => pumping.totalAmount > 0);
+    const ounces = measured.reduce((sum, pumping) => sum + pumping.totalAmount, 0);
+    const minutes = measured.reduce((sum, pumping) => sum + pumping.durationMinutes, 0);
+
+    return {
+      sessions: pumpings.length,
+      measured: measured.length,
+      avgOunces: measured.length > 0 ? ounces / measured.length : 0,
+      ouncesPerMinute: minutes > 0 ? ounces / minutes : 0
+    };
+  }
+
+  /**
+   * Summarize pumping output by time of day, to show which slots produce the most
+   * @param {Array} pumpings - Pumping activities
+   * @returns {Object} - { slots: one { key, name, sessions, measured, avgOunces, ouncesPerMinute } per
+   *   TIME_BUCKETS entry, overall (same fields for every session), leftOunces, rightOunces }
+   */
+  function summarizePumping(pumpings) {
+    const slots = TIME_BUCKETS.map(bucket => ({
+      key: bucket.key,
+      name: bucket.name,
+      ...summarizeOutput(pumpings.filter(pumping => getBucket(pumping.start) === bucket))
+    }));
+
+    return {
+      slots,
+      overall: summarizeOutput(pumpings),
+      leftOunces: pumpings.reduce((sum, pumping) => sum + (pumping.leftAmount || 0), 0),
+      rightOunces: pumpings.reduce((sum, pumping) => sum + (pumping.rightAmount || 0), 0)
+    };
+  }
+
+  /**
+   * Summarize feeding across nursing and bottles, and the milk stash
+   * Intake is estimated from bottles only, since nursing has no measured amount; the stash balance
+   * is milk pumped minus milk bottled, so it goes negative when bottles are formula or older stash
+   * @param {Object} activities - Object with arrays for each activity type
+   * @returns {Object} - { feeds, feedDays, feedsPerDay, bottleOuncesPerDay, nursingMinutesPerDay,
+   *   pumpedOunces, bottledOunces, stashBalance }; per-day values average over days with a feed
+   */
+  function summarizeFeeding(activities) {
+    const feeds = getFeeds(activities);
+    const feedDays = new Set(feeds.map(feed => getDayKey(feed.start))).size;
+    const bottledOunces = feeds.reduce((sum, feed) => sum + feed.bottleOunces, 0);
+    const nursingMinutes = feeds.reduce((sum, feed) => sum + feed.nursingMinutes, 0);
+    const pumpedOunces = (activities.pumping || []).reduce((sum, pumping) => sum + (pumping.totalAmount || 0), 0);
+
+    return {
+      feeds: feeds.length,
+      feedDays,
+      feedsPerDay: feedDays > 0 ? feeds.length / feedDays : 0,
+      bottleOuncesPerDay: feedDays > 0 ? bottledOunces / feedDays : 0,
+      nursingMinutesPerDay: feedDays > 0 ? nursingMinutes / feedDays : 0,
+      pumpedOunces,
+      bottledOunces,
+      stashBalance: pumpedOunces - bottledOunces
+    };
+  }
+
+  /**
+   * Calculate a trailing rolling average, skipping days with no value
+   * @param {Array} values - Daily values (null for days with nothing logged)
+   * @param {number} windowDays - Number of days in the window, including the current day
+   * @returns {Array} - Averages aligned with values (null where the window has no values)
+   */
+  function rollingAverage(values, windowDays) {
+    return values.map((value, index) => {
+      const window = values.slice(Math.max(0, index - windowDays + 1), index + 1).filter(v => v !== null);
+      if (value === null || window.length === 0) return null;
+      return window.reduce((sum, v) => sum + v, 0) / window.length;
+    });
+  }
+
+  // Public API
+  return {
+    TIME_BUCKETS,
+    TREND_METRICS,
+    SLEEP_CLASSIFICATIONS,
+    NAP_START_MINUTE,
+    NAP_END_MINUTE,
+    isNap,
+    classifySleeps,
+    getDailyTotals,
+    countDiapersByDay,
+    suggestNextSide,
+    summarizeSides,
+    summarizePumping,
+    rollingAverage,
+    getWakeWindows,
+    getFeedIntervals,
+    getFeeds,
+    summarizeFeeding,
+    summarize,
+    summarizeByBucket,
+    getCurrentWakeWindow,
+    compareCurrentWakeWindow
+  };
+})();
@@ -6,8 +6,25 @@
 const App = (function() {
   'use strict';
 
+  // Child filter value that includes every baby
+  const ALL_CHILDREN = '';
+
+  // Day facet value that shows every day group as a grid
+  const ALL_GROUPS = 'all-groups';
+
+  // Minutes either side of an instant event (bottle, diaper) that count as "at" that event
+  const INSTANT_WINDOW_MINUTES = 7;
+
+  // Ways of comparing the selected date range with a second one
+  const COMPARE_MODES = {
+    off: 'off',
+    sideBySide: 'side-by-side', // Both heatmaps next to each other
+    difference: 'difference'    // One heatmap of where each activity became more or less likely
+  };
+
   // Application state
   const state = {
+    // Imported rows with manual edits applied; rebuilt by applyEdits, read everywhere else
     activities: {
       sleep: [],
       nursing: [],
@@ -15,28 +32,108 @@ const App = (function() {
       bottle: [],
       diaper: []
     },
+    importedActivities: {
+      sleep: [],
+      nursing: [],
+      pumping: [],
+      bottle: [],
+      diaper: []
+    },
+    edits: Edits.createOverlay(),  // Activities added, changed or deleted in the browser
+    quality: null,                 // Flags from Quality.check on state.activities, set by applyEdits
+    unflaggedActivities: null,     // state.activities without the flagged records, set by applyEdits
+    editingActivity: null,         // Activity open in the editor, or null when adding a new one
     heatmapData: null,
+    heatmapPanels: null,           // Panels drawn by renderHeatmap, set by updateHeatmapPanels
     visibility: {
       sleep: true,
+      nap: true,
+      night: true,
       nursing: true,
       pumping: true,
       bottle: true,
-      diaper: true
+      feeding: false,   // Nursing and bottles combined; off by default since it repeats those layers
+      diaper: true,
+      wet: true,
+      dirty: true,
+      mixed: true,
+      dry: true
     },
     loadedFiles: [],
+    importReport: [],  // { filename, type, issues } for each file with skipped or flagged rows
+    duplicatesDropped: 0,
+    settings: {
+      duplicateMatching: Dedupe.MODES.exact,
+      dateFormat: 'auto',  // 'auto' or one of Parser.DATE_FORMATS
+      amountUnit: 'oz',    // Display unit for milk amounts ('oz' or 'ml'); stored amounts are always oz
+      halfLifeDays: 0,     // Recency weighting half-life in days; 0 counts every day equally
+      sleepClassification: Analytics.SLEEP_CLASSIFICATIONS.fixed,
+      napStart: '08:00',   // Fixed classification: naps start at or after this time...
+      napEnd: '19:30',     // ...and end before this one
+      minWetDiapers: 0,    // Alert on days with fewer wet diapers than this; 0 turns the alert off
+      excludeFlagged: false  // Leave records flagged by Quality.check out of every calculation
+    },
     dateFilter: {
       start: null,  // Date object or null for no filter
       end: null     // Date object or null for no filter
-    }
+    },
+    comparison: {
+      mode: COMPARE_MODES.off,
+      start: null,  // Range to compare the date filter against, as for dateFilter
+      end: null
+    },
+    childFilter: ALL_CHILDREN,  // Baby name from the CSV "Baby" column, or ALL_CHILDREN
+    childSideBySide: false,     // Render one heatmap per child
+    dayGrouping: 'none',        // One of Heatmap.DAY_GROUPINGS
+    dayFacet: ALL_GROUPS,       // Day group key to show on its own, or ALL_GROUPS for a grid
+    viewMode: 'heatmap',        // 'heatmap' (probabilities) or 'actogram' (one row per day)
+    highlightedDay: null,       // Day picked from the drill-down list, highlighted in the actogram
+    trendWindow: 7,             // Days in the rolling average on the trend charts
+    dataTable: {
+      sortKey: 'time',          // Column key from DATA_TABLE_COLUMNS
+      sortDirection: 'desc',    // 'asc' or 'desc'
+      search: ''                // Case-insensitive text to find in notes
+    },
+    persistenceEnabled: false  // Opt-in: save data and settings to IndexedDB
   };
 
   // DOM elements
   let elements = {};
 
+  // Data drawn in each rendered SVG, used by the tooltip: { heatmapData } or { activities } (actogram)
+  const chartDataBySvg = new WeakMap();
+
   // Example data file URLs
   const EXAMPLE_DATA_BASE_URL = 'https://raw.githubusercontent.com/uPaymeiFixit/baby-tracker-heatmap/refs/heads/main/example_export/';
   const EXAMPLE_FILES = ['diaper.csv', 'expressed.csv', 'nursing.csv', 'pump.csv', 'sleep.csv'];
 
+  // Display labels for Parser.DATE_FORMATS
+  const DATE_FORMAT_LABELS = {
+    mdy: 'M/D/Y',
+    dmy: 'D/M/Y',
+    ymd: 'Y-M-D'
+  };
+
+  // Maximum rows listed per file in the import report panel (the CSV download has all of them)
+  const IMPORT_REPORT_DISPLAY_LIMIT = 100;
+
+  // Maximum flagged records listed in the data quality section
+  const QUALITY_DISPLAY_LIMIT = 100;
+
+  // Columns of the raw data table; values are the sortable fields built by getDataTableRows
+  const DATA_TABLE_COLUMNS = [
+    { key: 'source', label: 'Source', width: '4.5rem', format: value => value ? `<span class="data-table-manual">${value}</span>` : '' },
+    { key: 'type', label: 'Type', width: '7.5rem', format: (value, row) => `<span class="drilldown-dot" style="background-color: ${row.color};"></span>${value}` },
+    { key: 'time', label: 'Start / time', width: '10rem', format: value => formatDateTime(new Date(value)) },
+    { key: 'end', label: 'End', width: '10rem', format: value => value === null ? '' : formatDateTime(new Date(value)) },
+    { key: 'duration', label: 'Duration', width: '5.5rem', format: value => value === null ? '' : formatDuration(value) },
+    { key: 'amount', label: 'Amount', width: '5rem', format: value => value === null ? '' : formatAmount(value) },
+    { key: 'side', label: 'Side', width: '4rem', format: value => escapeHtml(value) },
+    { key: 'status', label: 'Status', width: '5rem', format: value => escapeHtml(value) },
+    { key: 'flag', label: 'Flag', width: '8rem', format: value => `<span title="${value}">${value}</span>` },
+    { key: 'note', label: 'Note', width: 'minmax(8rem, 1fr)', format: value => `<span title="${escapeHtml(value)}">${escapeHtml(value)}</span>` }
+  ];
+
   /**
    * Initialize the application
    */
@@ -46,34 +143,141 @@ const App = (function() {
       fileInput: document.getElementById('file-input'),
       loadExampleBtn: document.getElementById('load-example-btn'),
       clearBtn: document.getElementById('clear-btn'),
+      discardEditsBtn: document.getElementById('discard-edits-btn'),
       dataSummary: document.getElementById('data-summary'),
+      importReport: document.getElementById('import-report'),
+      importReportContent: document.getElementById('import-report-content'),
+      downloadReportBtn: document.getElementById('download-report-btn'),
+      exportScale: document.getElementById('export-scale'),
+      exportPngBtn: document.getElementById('export-png-btn'),
+      exportSvgBtn: document.getElementById('export-svg-btn'),
+      duplicateMatching: document.getElementById('duplicate-matching'),
+      dateFormat: document.getElementById('date-format'),
+      amountUnit: document.getElementById('amount-unit'),
+      halfLife: document.getElementById('half-life'),
+      sleepClassification: document.getElementById('sleep-classification'),
+      napHours: document.getElementById('nap-hours'),
+      napStart: document.getElementById('nap-start'),
+      napEnd: document.getElementById('nap-end'),
+      minWetDiapers: document.getElementById('min-wet-diapers'),
+      rememberData: document.getElementById('remember-data'),
+      excludeFlagged: document.getElementById('exclude-flagged'),
       gettingStarted: document.getElementById('getting-started'),
       privacyNotice: document.getElementById('privacy-notice'),
       dateFilterSection: document.getElementById('date-filter-section'),
       dateStart: document.getElementById('date-start'),
       dateEnd: document.getElementById('date-end'),
       resetDatesBtn: document.getElementById('reset-dates-btn'),
+      compareMode: document.getElementById('compare-mode'),
+      compareRange: document.getElementById('compare-range'),
+      compareStart: document.getElementById('compare-start'),
+      compareEnd: document.getElementById('compare-end'),
       togglesSection: document.getElementById('toggles-section'),
+      childSelector: document.getElementById('child-selector'),
+      childSelect: document.getElementById('child-select'),
+      childSideBySide: document.getElementById('child-side-by-side'),
       heatmapSection: document.getElementById('heatmap-section'),
       heatmapContainer: document.getElementById('heatmap-container'),
+      viewMode: document.getElementById('view-mode'),
+      heatmapLegend: document.getElementById('heatmap-legend'),
+      differenceLegend: document.getElementById('difference-legend'),
+      drilldown: document.getElementById('drilldown'),
+      drilldownTitle: document.getElementById('drilldown-title'),
+      drilldownContent: document.getElementById('drilldown-content'),
+      drilldownCloseBtn: document.getElementById('drilldown-close-btn'),
+      dayGroupingControls: document.getElementById('day-grouping-controls'),
+      dayGrouping: document.getElementById('day-grouping'),
+      dayFacet: document.getElementById('day-facet'),
       tooltip: document.getElementById('tooltip'),
       loading: document.getElementById('loading'),
       predictionSection: document.getElementById('prediction-section'),
       predictionTime: document.getElementById('prediction-time'),
       predictionContent: document.getElementById('prediction-content'),
+      forecastContent: document.getElementById('forecast-content'),
       statisticsSection: document.getElementById('statistics-section'),
-      statisticsContent: document.getElementById('statistics-content')
+      statisticsContent: document.getElementById('statistics-content'),
+      intervalsSection: document.getElementById('intervals-section'),
+      intervalsContent: document.getElementById('intervals-content'),
+      trendsSection: document.getElementById('trends-section'),
+      trendWindow: document.getElementById('trend-window'),
+      trendsContent: document.getElementById('trends-content'),
+      pumpingSection: document.getElementById('pumping-section'),
+      pumpingContent: document.getElementById('pumping-content'),
+      qualitySection: document.getElementById('quality-section'),
+      qualityContent: document.getElementById('quality-content'),
+      dataTableSection: document.getElementById('data-table-section'),
+      dataTableSearch: document.getElementById('data-table-search'),
+      dataTableCount: document.getElementById('data-table-count'),
+      dataTableContent: document.getElementById('data-table-content'),
+      addActivityBtn: document.getElementById('add-activity-btn'),
+      activityEditor: document.getElementById('activity-editor'),
+      activityEditorTitle: document.getElementById('activity-editor-title'),
+      activityEditorCloseBtn: document.getElementById('activity-editor-close-btn'),
+      activityEditorForm: document.getElementById('activity-editor-form'),
+      editorType: document.getElementById('editor-type'),
+      editorBaby: document.getElementById('editor-baby'),
+      editorBabyNames: document.getElementById('editor-baby-names'),
+      editorStart: document.getElementById('editor-start'),
+      editorDuration: document.getElementById('editor-duration'),
+      editorAmount: document.getElementById('editor-amount'),
+      editorAmountUnit: document.getElementById('editor-amount-unit'),
+      editorSide: document.getElementById('editor-side'),
+      editorStatus: document.getElementById('editor-status'),
+      editorNote: document.getElementById('editor-note'),
+      editorDeleteBtn: document.getElementById('editor-delete-btn'),
+      dataExportFormat: document.getElementById('data-export-format'),
+      exportDataBtn: document.getElementById('export-data-btn')
     };
 
     // Bind event listeners
     elements.fileInput.addEventListener('change', handleFileUpload);
     elements.loadExampleBtn.addEventListener('click', handleLoadExample);
     elements.clearBtn.addEventListener('click', handleClear);
+    elements.discardEditsBtn.addEventListener('click', handleDiscardEdits);
+    elements.downloadReportBtn.addEventListener('click', handleDownloadReport);
+    elements.exportPngBtn.addEventListener('click', handleExportPng);
+    elements.exportSvgBtn.addEventListener('click', handleExportSvg);
+    elements.drilldownCloseBtn.addEventListener('click', hideDrilldown);
+
+    // Bind settings listeners
+    syncSettingsControls();
+    elements.duplicateMatching.addEventListener('change', handleSettingsChange);
+    elements.dateFormat.addEventListener('change', handleSettingsChange);
+    elements.amountUnit.addEventListener('change', handleSettingsChange);
+    elements.halfLife.addEventListener('change', handleSettingsChange);
+    elements.sleepClassification.addEventListener('change', handleSettingsChange);
+    elements.napStart.addEventListener('change', handleSettingsChange);
+    elements.napEnd.addEventListener('change', handleSettingsChange);
+    elements.minWetDiapers.addEventListener('change', handleSettingsChange);
+    elements.excludeFlagged.addEventListener('change', handleSettingsChange);
+    elements.rememberData.addEventListener('change', handleRememberDataChange);
 
     // Bind date filter listeners
     elements.dateStart.addEventListener('change', handleDateFilterChange);
     elements.dateEnd.addEventListener('change', handleDateFilterChange);
     elements.resetDatesBtn.addEventListener('click', handleResetDates);
+    elements.compareMode.addEventListener('change', handleComparisonChange);
+    elements.compareStart.addEventListener('change', handleComparisonChange);
+    elements.compareEnd.addEventListener('change', handleComparisonChange);
+
+    // Bind child selector listeners
+    elements.childSelect.addEventListener('change', handleChildChange);
+    elements.childSideBySide.addEventListener('change', handleChildChange);
+
+    // Bind view mode and day grouping listeners
+    elements.viewMode.addEventListener('change', handleViewModeChange);
+    elements.trendWindow.addEventListener('change', handleTrendWindowChange);
+    elements.dataTableSearch.addEventListener('input', handleDataTableSearch);
+    elements.exportDataBtn.addEventListener('click', handleExportData);
+
+    // Bind manual entry listeners
+    elements.addActivityBtn.addEventListener('click', () => showActivityEditor(null));
+    elements.activityEditorCloseBtn.addEventListener('click', hideActivityEditor);
+    elements.activityEditorForm.addEventListener('submit', handleActivityEditorSubmit);
+    elements.editorType.addEventListener('change', updateActivityEditorFields);
+    elements.editorDeleteBtn.addEventListener('click', handleActivityDelete);
+    elements.dayGrouping.addEventListener('change', handleDayGroupingChange);
+    elements.dayFacet.addEventListener('change', handleDayGroupingChange);
 
     // Bind toggle listeners
     const toggleItems = document.querySelectorAll('.toggle-item input[type="checkbox"]');
@@ -90,6 +294,130 @@ const App = (function() {
 
     // Update current time indicator and predictions every minute
     setInterval(updateCurrentTimeIndicator, 60000);
+
+    // Bring back data from a previous session if the user opted in
+    applyEdits();
+    restorePersistedState();
+  }
+
+  /**
+   * Restore saved activities and settings from IndexedDB, if the user opted in
+   */
+  async function restorePersistedState() {
+    if (!Persistence.isAvailable()) {
+      elements.rememberData.disabled = true;
+      return;
+    }
+
+    // Files loaded before the saved copy is back would be overwritten by it
+    setUploadEnabled(false);
+
+    try {
+      const preferences = await Persistence.loadPreferences();
+      state.persistenceEnabled = preferences.enabled;
+      elements.rememberData.checked = preferences.enabled;
+      if (!preferences.enabled) return;
+
+      const snapshot = await Persistence.loadSnapshot();
+      if (!snapshot) return;
+
+      Object.assign(state.importedActivities, snapshot.activities);
+      if (snapshot.edits) state.edits = snapshot.edits;
+      applyEdits();
+      Object.assign(state.visibility, snapshot.visibility);
+      Object.assign(state.settings, snapshot.settings);
+      state.loadedFiles = snapshot.loadedFiles;
+      state.importReport = snapshot.importReport;
+      state.duplicatesDropped = snapshot.duplicatesDropped;
+      state.childFilter = snapshot.childFilter || ALL_CHILDREN;
+      state.childSideBySide = Boolean(snapshot.childSideBySide);
+      state.dayGrouping = snapshot.dayGrouping || Heatmap.DAY_GROUPINGS.none;
+      state.dayFacet = snapshot.dayFacet || ALL_GROUPS;
+      state.viewMode = snapshot.viewMode || 'heatmap';
+      state.trendWindow = snapshot.trendWindow || 7;
+      if (snapshot.comparison) state.comparison = snapshot.comparison;
+
+      syncSettingsControls();
+      syncToggleControls();
+
+      if (getAllActivityDates().length === 0) {
+        // Manual edits may have been kept through Clear All
+        updateDataSummary();
+        return;
+      }
+
+      setDateFilterBounds();
+      setDateFilter(snapshot.dateFilter.start, snapshot.dateFilter.end);
+      showLoadedData();
+    } catch (error) {
+      console.warn('Could not restore saved data:', error);
+    } finally {
+      setUploadEnabled(true);
+    }
+  }
+
+  /**
+   * Allow or block loading files and the example data
+   * @param {boolean} enabled - Whether loading is allowed
+   */
+  function setUploadEnabled(enabled) {
+    elements.fileInput.disabled = !enabled;
+    // The example stays disabled once data is shown (see showSections)
+    elements.loadExampleBtn.disabled = !enabled || state.heatmapData !== null;
+  }
+
+  /**
+   * Build the data saved to IndexedDB
+   * @returns {Object} - Snapshot of activities and view settings
+   */
+  function createSnapshot() {
+    return {
+      activities: state.importedActivities,
+      edits: state.edits,
+      loadedFiles: state.loadedFiles,
+      importReport: state.importReport,
+      duplicatesDropped: state.duplicatesDropped,
+      visibility: state.visibility,
+      dateFilter: state.dateFilter,
+      comparison: state.comparison,
+      childFilter: state.childFilter,
+      childSideBySide: state.childSideBySide,
+      dayGrouping: state.dayGrouping,
+      dayFacet: state.dayFacet,
+      viewMode: state.viewMode,
+      trendWindow: state.trendWindow,
+      settings: state.settings
+    };
+  }
+
+  /**
+   * Save the current data and settings to IndexedDB, if the user opted in
+   */
+  function persistState() {
+    if (!state.persistenceEnabled) return;
+
+    Persistence.saveSnapshot(createSnapshot()).catch(error => {
+      console.warn('Could not save data locally:', error);
+    });
+  }
+
+  /**
+   * Handle the "remember data on this device" checkbox
+   * @param {Event} event - Change event from checkbox
+   */
+  async function handleRememberDataChange(event) {
+    state.persistenceEnabled = event.target.checked;
+
+    try {
+      await Persistence.savePreferences({ enabled: state.persistenceEnabled });
+      if (state.persistenceEnabled) {
+        persistState();
+      } else {
+        await Persistence.clearSnapshot();
+      }
+    } catch (error) {
+      console.warn('Could not update local storage:', error);
+    }
   }
 
   /**
@@ -120,31 +448,17 @@ const App = (function() {
 
       // Parse regular CSV files
       if (csvFiles.length > 0) {
-        const results = await Parser.parseFiles(csvFiles);
+        const results = await Parser.parseFiles(csvFiles, getParseOptions());
         for (const result of results) {
-          if (result.activities.length > 0) {
-            state.activities[result.type].push(...result.activities);
-            state.loadedFiles.push({
-              name: result.filename,
-              type: result.type,
-              count: result.parsedCount
-            });
-          }
+          addParseResult(result);
         }
       }
 
       // Parse extracted CSV text from zip files
       for (const { filename, text } of extractedCsvs) {
         try {
-          const result = Parser.parseCSVText(text, filename);
-          if (result.activities.length > 0) {
-            state.activities[result.type].push(...result.activities);
-            state.loadedFiles.push({
-              name: result.filename,
-              type: result.type,
-              count: result.parsedCount
-            });
-          }
+          const result = Parser.parseCSVText(text, filename, getParseOptions());
+          addParseResult(result);
         } catch (e) {
           console.warn(`Skipping ${filename}: ${e.message}`);
         }
@@ -153,15 +467,8 @@ const App = (function() {
       // Initialize date filter with bounds and default to last 30 days
       initializeDateFilter();
 
-      // Recalculate heatmap with filtered data
-      const filteredActivities = getFilteredActivities();
-      state.heatmapData = Heatmap.calculateAllHeatmaps(filteredActivities);
-
-      // Update UI
-      updateDataSummary();
-      updateToggleCounts();
-      renderHeatmap();
-      showSections(true);
+      showLoadedData();
+      persistState();
 
     } catch (error) {
       console.error('Error parsing files:', error);
@@ -173,6 +480,75 @@ const App = (function() {
     }
   }
 
+  /**
+   * Get the parser options from the current settings
+   * @returns {Object} - Options for Parser.parseFile / Parser.parseCSVText
+   */
+  function getParseOptions() {
+    return {
+      dateFormat: state.settings.dateFormat
+    };
+  }
+
+  /**
+   * Add a parsed file's activities to the state and record it in the loaded files list
+   * @param {Object} result - Result from Parser.parseFile or Parser.parseCSVText
+   */
+  function addParseResult(result) {
+    if (result.issues.length > 0) {
+      state.importReport.push({
+        filename: result.filename,
+        type: result.type,
+        issues: result.issues
+      });
+    }
+
+    if (result.activities.length === 0) return;
+
+    // Merge rather than append, so overlapping exports don't double-count shared rows
+    const { addedCount, duplicateCount } = Dedupe.mergeInto(
+      state.importedActivities[result.type],
+      result.activities,
+      state.settings.duplicateMatching
+    );
+    state.duplicatesDropped += duplicateCount;
+    applyEdits();
+
+    state.loadedFiles.push({
+      name: result.filename,
+      type: result.type,
+      count: addedCount,
+      duplicateCount,
+      detectedBy: result.detectedBy,
+      dateFormat: result.dateFormat,
+      dateFormatSource: result.dateFormatSource,
+      dateFormatAmbiguous: result.dateFormatAmbiguous
+    });
+  }
+
+  /**
+   * Recalculate the heatmap and show all data sections after data is loaded or restored
+   */
+  function showLoadedData() {
+    classifySleeps();
+    updateChildSelector();
+    updateDayGroupingControls();
+    updateViewModeControls();
+    updateComparisonControls();
+
+    // Recalculate heatmap with filtered data
+    const filteredActivities = getFilteredActivities();
+    state.heatmapData = Heatmap.calculateAllHeatmaps(filteredActivities, getHeatmapOptions());
+    updateHeatmapPanels();
+
+    // Update UI
+    updateDataSummary();
+    updateImportReport();
+    updateToggleCounts();
+    renderHeatmap();
+    showSections(true);
+  }
+
   /**
    * Extract CSV files from zip archives
    * @param {Array} zipFiles - Array of zip File objects
@@ -222,29 +598,15 @@ const App = (function() {
 
       // Parse each CSV file
       for (const { filename, text } of csvFiles) {
-        const result = Parser.parseCSVText(text, filename);
-        if (result.activities.length > 0) {
-          state.activities[result.type].push(...result.activities);
-          state.loadedFiles.push({
-            name: result.filename,
-            type: result.type,
-            count: result.parsedCount
-          });
-        }
+        const result = Parser.parseCSVText(text, filename, getParseOptions());
+        addParseResult(result);
       }
 
       // Initialize date filter with bounds and default to last 30 days
       initializeDateFilter();
 
-      // Recalculate heatmap with filtered data
-      const filteredActivities = getFilteredActivities();
-      state.heatmapData = Heatmap.calculateAllHeatmaps(filteredActivities);
-
-      // Update UI
-      updateDataSummary();
-      updateToggleCounts();
-      renderHeatmap();
-      showSections(true);
+      showLoadedData();
+      persistState();
 
     } catch (error) {
       console.error('Error loading example data:', error);
@@ -258,26 +620,53 @@ const App = (function() {
    * Handle clear button click
    */
   function handleClear() {
-    // Reset state
-    state.activities = {
+    // Reset state; manual edits are kept so loading the export again (e.g. with another date format)
+    // brings them back, until the user discards them
+    state.importedActivities = {
       sleep: [],
       nursing: [],
       pumping: [],
       bottle: [],
       diaper: []
     };
+    applyEdits();
+    hideActivityEditor();
     state.heatmapData = null;
+    state.heatmapPanels = null;
     state.loadedFiles = [];
+    state.importReport = [];
+    state.duplicatesDropped = 0;
 
     // Reset visibility
     state.visibility = {
       sleep: true,
+      nap: true,
+      night: true,
       nursing: true,
       pumping: true,
       bottle: true,
-      diaper: true
+      feeding: false,
+      diaper: true,
+      wet: true,
+      dirty: true,
+      mixed: true,
+      dry: true
     };
 
+    // Reset child selection
+    state.childFilter = ALL_CHILDREN;
+    state.childSideBySide = false;
+    updateChildSelector();
+
+    // Reset day grouping
+    state.dayGrouping = Heatmap.DAY_GROUPINGS.none;
+    state.dayFacet = ALL_GROUPS;
+    updateDayGroupingControls();
+
+    // Reset view mode
+    state.viewMode = 'heatmap';
+    updateViewModeControls();
+
     // Reset date filter
     state.dateFilter = {
       start: null,
@@ -290,19 +679,67 @@ const App = (function() {
     elements.dateEnd.min = '';
     elements.dateEnd.max = '';
 
+    // Reset comparison
+    state.comparison = {
+      mode: COMPARE_MODES.off,
+      start: null,
+      end: null
+    };
+    updateComparisonControls();
+
     // Reset toggle checkboxes
-    const toggleItems = document.querySelectorAll('.toggle-item input[type="checkbox"]');
-    toggleItems.forEach(checkbox => {
-      checkbox.checked = true;
-    });
+    syncToggleControls();
+
+    // Remove the saved data too, so a reload doesn't bring it back
+    persistClearedState();
 
     // Update UI
     updateDataSummary();
+    updateImportReport();
     updateToggleCounts();
     showSections(false);
     elements.heatmapContainer.innerHTML = '';
   }
 
+  /**
+   * Handle the discard manual edits button: drop every added, changed and deleted activity after confirming
+   */
+  function handleDiscardEdits() {
+    const { added, changed, deleted } = Edits.countEdits(state.edits);
+    const total = added + changed + deleted;
+    if (!confirm(`Discard ${total} manual ${total === 1 ? 'edit' : 'edits'}? This can't be undone.`)) return;
+
+    state.edits = Edits.createOverlay();
+    hideActivityEditor();
+    applyEdits();
+
+    if (!state.heatmapData) {
+      // Nothing loaded (e.g. after Clear All): only the kept edits were saved
+      persistClearedState();
+      updateDataSummary();
+      return;
+    }
+
+    classifySleeps();
+    setDateFilterBounds();
+    updateChildSelector();
+    recalculateHeatmap();
+  }
+
+  /**
+   * Update the saved copy once no imported data is loaded: keep it while manual edits remain, otherwise delete it
+   */
+  function persistClearedState() {
+    if (hasEdits()) {
+      persistState();
+      return;
+    }
+
+    Persistence.clearSnapshot().catch(error => {
+      console.warn('Could not clear saved data:', error);
+    });
+  }
+
   /**
    * Handle activity toggle change
    * @param {Event} event - Change event from checkbox
@@ -313,6 +750,223 @@ const App = (function() {
     state.visibility[activityType] = event.target.checked;
     renderHeatmap();
     updatePredictions();
+    updateDataTable(getFilteredActivities());
+    persistState();
+  }
+
+  /**
+   * Handle a change to the child selector or the side-by-side checkbox
+   */
+  function handleChildChange() {
+    state.childFilter = elements.childSelect.value;
+    state.childSideBySide = elements.childSideBySide.checked;
+    recalculateHeatmap();
+  }
+
+  /**
+   * Handle switching between the heatmap and actogram views
+   */
+  function handleViewModeChange() {
+    state.viewMode = elements.viewMode.value;
+    state.highlightedDay = null;
+    updateViewModeControls();
+    renderHeatmap();
+    persistState();
+  }
+
+  /**
+   * Show the controls that apply to the current view mode
+   */
+  function updateViewModeControls() {
+    const isActogram = state.viewMode === 'actogram';
+    const isDifference = state.comparison.mode === COMPARE_MODES.difference;
+    elements.viewMode.value = state.viewMode;
+    // Day grouping and the legends only apply to the heatmap, and comparing replaces day grouping
+    elements.dayGroupingControls.classList.toggle('hidden', isActogram || state.comparison.mode !== COMPARE_MODES.off);
+    elements.heatmapLegend.classList.toggle('hidden', isActogram || isDifference);
+    elements.differenceLegend.classList.toggle('hidden', isActogram || !isDifference);
+  }
+
+  /**
+   * Handle a change to the day grouping or facet selector
+   * @param {Event} event - Change event from either select
+   */
+  function handleDayGroupingChange(event) {
+    state.dayGrouping = elements.dayGrouping.value;
+    // A new grouping has different groups, so start from the grid
+    state.dayFacet = event.target === elements.dayGrouping ? ALL_GROUPS : elements.dayFacet.value;
+    updateDayGroupingControls();
+    updateHeatmapPanels();
+    renderHeatmap();
+    updatePredictions();
+    persistState();
+  }
+
+  /**
+   * Set the day grouping controls to match the state, rebuilding the facet options
+   */
+  function updateDayGroupingControls() {
+    elements.dayGrouping.value = state.dayGrouping;
+
+    const groups = Heatmap.getDayGroups(state.dayGrouping);
+    elements.dayFacet.innerHTML = [
+      `<option value="${ALL_GROUPS}">All (grid)</option>`,
+      ...groups.map(group => `<option value="${group.key}">${group.name}</option>`)
+    ].join('');
+    elements.dayFacet.value = state.dayFacet;
+
+    elements.dayFacet.classList.toggle('hidden', state.dayGrouping === Heatmap.DAY_GROUPINGS.none);
+  }
+
+  /**
+   * Get the names of all babies in the loaded data
+   * @returns {Array} - Sorted, unique, non-empty baby names
+   */
+  function getChildNames() {
+    const names = new Set();
+    for (const type in state.activities) {
+      for (const activity of state.activities[type]) {
+        if (activity.baby) names.add(activity.baby);
+      }
+    }
+    return Array.from(names).sort((a, b) => a.localeCompare(b));
+  }
+
+  /**
+   * Rebuild the child selector options; it is only shown when the data covers more than one baby
+   */
+  function updateChildSelector() {
+    const names = getChildNames();
+
+    // Fall back to all children if the selected one is no longer in the data
+    if (state.childFilter !== ALL_CHILDREN && !names.includes(state.childFilter)) {
+      state.childFilter = ALL_CHILDREN;
+    }
+    if (names.length < 2) {
+      state.childSideBySide = false;
+    }
+
+    elements.childSelect.innerHTML = [
+      `<option value="${ALL_CHILDREN}">All children</option>`,
+      ...names.map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`)
+    ].join('');
+    elements.childSelect.value = state.childFilter;
+    elements.childSideBySide.checked = state.childSideBySide;
+
+    elements.childSelector.classList.toggle('hidden', names.length < 2);
+  }
+
+  /**
+   * Set the toggle checkboxes to match state.visibility
+   */
+  function syncToggleControls() {
+    const toggleItems = document.querySelectorAll('.toggle-item');
+    toggleItems.forEach(item => {
+      item.querySelector('input[type="checkbox"]').checked = state.visibility[item.dataset.activity];
+    });
+  }
+
+  /**
+   * Resolve which layers are drawn: a sub-layer (e.g. naps) shows only when its activity type is on too
+   * @returns {Object} - Layer key -> boolean
+   */
+  function getLayerVisibility() {
+    const visibility = {};
+    for (const layer in state.visibility) {
+      visibility[layer] = state.visibility[layer] && state.visibility[Heatmap.getLayerType(layer)];
+    }
+    return visibility;
+  }
+
+  /**
+   * Set the settings controls to match state.settings
+   */
+  function syncSettingsControls() {
+    elements.duplicateMatching.value = state.settings.duplicateMatching;
+    elements.dateFormat.value = state.settings.dateFormat;
+    elements.amountUnit.value = state.settings.amountUnit;
+    elements.halfLife.value = String(state.settings.halfLifeDays);
+    elements.sleepClassification.value = state.settings.sleepClassification;
+    elements.napStart.value = state.settings.napStart;
+    elements.napEnd.value = state.settings.napEnd;
+    elements.minWetDiapers.value = String(state.settings.minWetDiapers);
+    elements.excludeFlagged.checked = state.settings.excludeFlagged;
+    elements.napHours.classList.toggle('hidden', state.settings.sleepClassification !== Analytics.SLEEP_CLASSIFICATIONS.fixed);
+  }
+
+  /**
+   * Handle a change to one of the settings controls
+   */
+  function handleSettingsChange() {
+    state.settings.duplicateMatching = elements.duplicateMatching.value;
+    state.settings.dateFormat = elements.dateFormat.value;
+    state.settings.amountUnit = elements.amountUnit.value;
+
+    const halfLifeDays = parseInt(elements.halfLife.value, 10);
+    const weightingChanged = halfLifeDays !== state.settings.halfLifeDays;
+    state.settings.halfLifeDays = halfLifeDays;
+
+    // Ignore a cleared time input and keep the previous boundary
+    const classificationChanged = elements.sleepClassification.value !== state.settings.sleepClassification ||
+      (elements.napStart.value && elements.napStart.value !== state.settings.napStart) ||
+      (elements.napEnd.value && elements.napEnd.value !== state.settings.napEnd);
+    state.settings.sleepClassification = elements.sleepClassification.value;
+    state.settings.napStart = elements.napStart.value || state.settings.napStart;
+    state.settings.napEnd = elements.napEnd.value || state.settings.napEnd;
+    state.settings.minWetDiapers = Math.max(0, parseInt(elements.minWetDiapers.value, 10) || 0);
+    const exclusionChanged = elements.excludeFlagged.checked !== state.settings.excludeFlagged;
+    state.settings.excludeFlagged = elements.excludeFlagged.checked;
+    syncSettingsControls();
+
+    if (classificationChanged) {
+      classifySleeps();
+    }
+
+    if (state.heatmapData && (weightingChanged || classificationChanged || exclusionChanged)) {
+      // Recalculates everything, including statistics, and persists
+      recalculateHeatmap();
+      return;
+    }
+
+    if (state.heatmapData) {
+      updateStatistics();
+    }
+    persistState();
+  }
+
+  /**
+   * Mark every loaded sleep as a nap or night sleep using the current settings
+   */
+  function classifySleeps() {
+    const toMinutes = time => {
+      const [hours, minutes] = time.split(':').map(Number);
+      return hours * 60 + minutes;
+    };
+
+    Analytics.classifySleeps(state.activities.sleep, {
+      mode: state.settings.sleepClassification,
+      napStartMinute: toMinutes(state.settings.napStart),
+      napEndMinute: toMinutes(state.settings.napEnd)
+    });
+  }
+
+  /**
+   * Get the options passed to the heatmap calculations
+   * @returns {Object} - { halfLifeDays }
+   */
+  function getHeatmapOptions() {
+    return { halfLifeDays: state.settings.halfLifeDays };
+  }
+
+  /**
+   * Describe how many days a heatmap is based on
+   * @param {Object} heatmapData - Result from Heatmap.calculateAllHeatmaps
+   * @returns {string} - e.g. "30 days", or "30 days, about 9.8 effective" when recent days are weighted more
+   */
+  function formatSampleSize(heatmapData) {
+    const days = `${heatmapData.totalDays} ${heatmapData.totalDays === 1 ? 'day' : 'days'}`;
+    if (!heatmapData.halfLifeDays) return days;
+    return `${days}, about ${heatmapData.effectiveDays.toFixed(1)} effective`;
   }
 
   /**
@@ -339,6 +993,71 @@ const App = (function() {
     recalculateHeatmap();
   }
 
+  /**
+   * Handle a change to the comparison mode or range
+   * Turning comparison on without a range picks the same number of days just before the selected range
+   */
+  function handleComparisonChange() {
+    state.comparison.mode = elements.compareMode.value;
+
+    if (state.comparison.mode !== COMPARE_MODES.off && !elements.compareStart.value && !elements.compareEnd.value) {
+      setDefaultComparison();
+    }
+
+    const startValue = elements.compareStart.value;
+    const endValue = elements.compareEnd.value;
+    state.comparison.start = startValue ? new Date(startValue + 'T00:00:00') : null;
+    state.comparison.end = endValue ? new Date(endValue + 'T23:59:59') : null;
+
+    updateComparisonControls();
+    updateViewModeControls();
+    updateHeatmapPanels();
+    renderHeatmap();
+    persistState();
+  }
+
+  /**
+   * Fill the comparison inputs with the period of equal length just before the selected range
+   */
+  function setDefaultComparison() {
+    const range = state.heatmapData && state.heatmapData.dateRange;
+    const start = state.dateFilter.start || (range && range.start);
+    const end = state.dateFilter.end || (range && range.end);
+    if (!start || !end) return;
+
+    const days = Math.round((end - start) / 86400000) + 1;
+    const compareEnd = new Date(start.getFullYear(), start.getMonth(), start.getDate() - 1);
+    const compareStart = new Date(compareEnd.getFullYear(), compareEnd.getMonth(), compareEnd.getDate() - days + 1);
+
+    elements.compareStart.value = formatDateForInput(compareStart);
+    elements.compareEnd.value = formatDateForInput(compareEnd);
+  }
+
+  /**
+   * Set the comparison controls to match the state
+   */
+  function updateComparisonControls() {
+    const { mode, start, end } = state.comparison;
+    elements.compareMode.value = mode;
+    elements.compareStart.value = start ? formatDateForInput(start) : '';
+    elements.compareEnd.value = end ? formatDateForInput(end) : '';
+    elements.compareRange.classList.toggle('hidden', mode === COMPARE_MODES.off);
+  }
+
+  /**
+   * Describe a date range for chart titles
+   * @param {Object} range - { start, end }, either of which may be null
+   * @param {Object} heatmapData - Heatmap for the range, whose data fills in an open end
+   * @returns {string} - e.g. "Jan 1, 2026 - Jan 14, 2026"
+   */
+  function describeDateRange(range, heatmapData) {
+    const dataRange = heatmapData.dateRange;
+    const start = range.start || (dataRange && dataRange.start);
+    const end = range.end || (dataRange && dataRange.end);
+    if (!start || !end) return 'No data';
+    return `${formatDate(start)} - ${formatDate(end)}`;
+  }
+
   /**
    * Set the default date filter (last 30 days)
    */
@@ -360,18 +1079,10 @@ const App = (function() {
    * Initialize date filter inputs with data range bounds
    */
   function initializeDateFilter() {
-    // Get the full date range from all activities
-    const allDates = getAllActivityDates();
-    if (allDates.length === 0) return;
-
-    const minDate = new Date(Math.min(...allDates));
-    const maxDate = new Date(Math.max(...allDates));
+    const bounds = setDateFilterBounds();
+    if (!bounds) return;
 
-    // Set min/max attributes on date inputs
-    elements.dateStart.min = formatDateForInput(minDate);
-    elements.dateStart.max = formatDateForInput(maxDate);
-    elements.dateEnd.min = formatDateForInput(minDate);
-    elements.dateEnd.max = formatDateForInput(maxDate);
+    const { minDate, maxDate } = bounds;
 
     // Set default filter (last 30 days or data start if less than 30 days)
     const today = new Date();
@@ -383,27 +1094,61 @@ const App = (function() {
     // Use the earlier of: today, or the latest date in data
     const filterEnd = today < maxDate ? today : maxDate;
 
-    state.dateFilter.start = filterStart;
-    state.dateFilter.end = filterEnd;
-
-    elements.dateStart.value = formatDateForInput(filterStart);
-    elements.dateEnd.value = formatDateForInput(filterEnd);
+    setDateFilter(filterStart, filterEnd);
   }
 
   /**
-   * Get all dates from all activities
-   * @returns {Array} - Array of Date timestamps
+   * Limit the date inputs to the range covered by the loaded activities
+   * @returns {Object|null} - { minDate, maxDate }, or null if there are no activities
    */
-  function getAllActivityDates() {
-    const dates = [];
-    const durationTypes = ['sleep', 'nursing', 'pumping'];
-    const instantTypes = ['bottle', 'diaper'];
+  function setDateFilterBounds() {
+    // Get the full date range from all activities
+    const allDates = getAllActivityDates();
+    if (allDates.length === 0) return null;
 
-    for (const type of durationTypes) {
-      for (const activity of state.activities[type]) {
-        dates.push(activity.start.getTime());
-      }
-    }
+    const minDate = new Date(Math.min(...allDates));
+    const maxDate = new Date(Math.max(...allDates));
+
+    // Set min/max attributes on date inputs
+    elements.dateStart.min = formatDateForInput(minDate);
+    elements.dateStart.max = formatDateForInput(maxDate);
+    elements.dateEnd.min = formatDateForInput(minDate);
+    elements.dateEnd.max = formatDateForInput(maxDate);
+    for (const input of [elements.compareStart, elements.compareEnd]) {
+      input.min = formatDateForInput(minDate);
+      input.max = formatDateForInput(maxDate);
+    }
+
+    return { minDate, maxDate };
+  }
+
+  /**
+   * Set the date filter state and inputs
+   * @param {Date|null} start - Start of the range, or null for no lower bound
+   * @param {Date|null} end - End of the range, or null for no upper bound
+   */
+  function setDateFilter(start, end) {
+    state.dateFilter.start = start;
+    state.dateFilter.end = end;
+
+    elements.dateStart.value = start ? formatDateForInput(start) : '';
+    elements.dateEnd.value = end ? formatDateForInput(end) : '';
+  }
+
+  /**
+   * Get all dates from all activities
+   * @returns {Array} - Array of Date timestamps
+   */
+  function getAllActivityDates() {
+    const dates = [];
+    const durationTypes = ['sleep', 'nursing', 'pumping'];
+    const instantTypes = ['bottle', 'diaper'];
+
+    for (const type of durationTypes) {
+      for (const activity of state.activities[type]) {
+        dates.push(activity.start.getTime());
+      }
+    }
 
     for (const type of instantTypes) {
       for (const activity of state.activities[type]) {
@@ -427,15 +1172,20 @@ const App = (function() {
   }
 
   /**
-   * Filter activities by the current date range
+   * Filter activities by a date range and child
+   * Pumping sessions belong to the parent, so they are kept whichever child is selected
+   * Records flagged by the data-quality check are left out when the user chose to exclude them
+   * @param {string} child - Baby name, or ALL_CHILDREN (defaults to the selected child)
+   * @param {Object} range - { start, end } (defaults to the date filter)
    * @returns {Object} - Filtered activities object
    */
-  function getFilteredActivities() {
-    const { start, end } = state.dateFilter;
+  function getFilteredActivities(child = state.childFilter, range = state.dateFilter) {
+    const { start, end } = range;
+    const activities = state.settings.excludeFlagged ? state.unflaggedActivities : state.activities;
 
     // If no filter is set, return all activities
-    if (!start && !end) {
-      return state.activities;
+    if (!start && !end && child === ALL_CHILDREN) {
+      return activities;
     }
 
     const filtered = {
@@ -449,23 +1199,26 @@ const App = (function() {
     const durationTypes = ['sleep', 'nursing', 'pumping'];
     const instantTypes = ['bottle', 'diaper'];
 
+    const matchesChild = activity =>
+      child === ALL_CHILDREN || activity.type === 'pumping' || activity.baby === child;
+
     // Filter duration-based activities
     for (const type of durationTypes) {
-      filtered[type] = state.activities[type].filter(activity => {
+      filtered[type] = activities[type].filter(activity => {
         const activityDate = activity.start;
         if (start && activityDate < start) return false;
         if (end && activityDate > end) return false;
-        return true;
+        return matchesChild(activity);
       });
     }
 
     // Filter instant events
     for (const type of instantTypes) {
-      filtered[type] = state.activities[type].filter(activity => {
+      filtered[type] = activities[type].filter(activity => {
         const activityDate = activity.time;
         if (start && activityDate < start) return false;
         if (end && activityDate > end) return false;
-        return true;
+        return matchesChild(activity);
       });
     }
 
@@ -476,13 +1229,18 @@ const App = (function() {
    * Recalculate heatmap with current filters
    */
   function recalculateHeatmap() {
+    // The listed events may no longer match the filters
+    hideDrilldown();
+
     const filteredActivities = getFilteredActivities();
-    state.heatmapData = Heatmap.calculateAllHeatmaps(filteredActivities);
+    state.heatmapData = Heatmap.calculateAllHeatmaps(filteredActivities, getHeatmapOptions());
+    updateHeatmapPanels();
     updateDataSummary();
     updateToggleCounts();
     renderHeatmap();
     updatePredictions();
     updateStatistics();
+    persistState();
   }
 
   /**
@@ -496,18 +1254,267 @@ const App = (function() {
       const startStr = formatDate(dateRange.start);
       const endStr = formatDate(dateRange.end);
 
+      const duplicatesHtml = state.duplicatesDropped > 0
+        ? `<p>${state.duplicatesDropped} duplicate ${state.duplicatesDropped === 1 ? 'entry' : 'entries'} dropped</p>`
+        : '';
+
+      const { halfLifeDays, effectiveDays } = state.heatmapData;
+      const weightingHtml = halfLifeDays > 0
+        ? `<p>Recent days count more (half-life ${halfLifeDays} days): effective sample of about ${effectiveDays.toFixed(1)} days</p>`
+        : '';
+
+      const childNames = getChildNames();
+      const childrenHtml = childNames.length > 1
+        ? `<p>Children: ${childNames.map(escapeHtml).join(', ')}</p>`
+        : '';
+
+      const editCounts = Edits.countEdits(state.edits);
+      const editsHtml = hasEdits()
+        ? `<p>Manual edits: ${editCounts.added} added, ${editCounts.changed} changed, ${editCounts.deleted} deleted</p>`
+        : '';
+
       elements.dataSummary.innerHTML = `
         <p><strong>${totalDays} days</strong> of data loaded (${startStr} - ${endStr})</p>
+        ${weightingHtml}
+        ${childrenHtml}
+        ${duplicatesHtml}
+        ${editsHtml}
+        ${renderLoadedFiles()}
       `;
       elements.dataSummary.classList.add('has-data');
       elements.clearBtn.disabled = false;
     } else {
+      const { added, changed, deleted } = Edits.countEdits(state.edits);
+      const keptEditsHtml = hasEdits()
+        ? `<p>Manual edits kept (${added} added, ${changed} changed, ${deleted} deleted). They are applied again when you load your data.</p>`
+        : '';
+
       elements.dataSummary.innerHTML = `
         <p>No data loaded. Upload Baby Tracker CSV exports to get started.</p>
+        ${keptEditsHtml}
       `;
       elements.dataSummary.classList.remove('has-data');
       elements.clearBtn.disabled = true;
     }
+
+    elements.discardEditsBtn.classList.toggle('hidden', !hasEdits());
+  }
+
+  /**
+   * Build the list of loaded files, noting how each file's activity type was detected
+   * @returns {string} - HTML list, or an empty string if no files are loaded
+   */
+  function renderLoadedFiles() {
+    if (state.loadedFiles.length === 0) return '';
+
+    const itemsHtml = state.loadedFiles.map(file => {
+      const dateNote = file.dateFormatSource === 'override'
+        ? `dates read as ${DATE_FORMAT_LABELS[file.dateFormat]} (manual)`
+        : `dates read as ${DATE_FORMAT_LABELS[file.dateFormat]}`;
+      const ambiguousWarning = file.dateFormatAmbiguous
+        ? `<div class="loaded-file-warning">Dates in this file could be day-first or month-first. If they look wrong, pick a date format in Settings, clear, and load the file again.</div>`
+        : '';
+
+      return `
+        <li>
+          <span class="loaded-file-name">${escapeHtml(file.name)}</span>:
+          ${Heatmap.ACTIVITY_NAMES[file.type]}, ${file.count} entries${file.duplicateCount > 0 ? ` (${file.duplicateCount} ${file.duplicateCount === 1 ? 'duplicate' : 'duplicates'} dropped)` : ''}
+          <span class="loaded-file-rule">(detected from ${file.detectedBy === 'header' ? 'column headers' : 'filename'}, ${dateNote})</span>
+          ${ambiguousWarning}
+        </li>
+      `;
+    }).join('');
+
+    return `<ul class="loaded-files">${itemsHtml}</ul>`;
+  }
+
+  /**
+   * Update the import report panel listing skipped and flagged CSV rows
+   */
+  function updateImportReport() {
+    const issueCount = state.importReport.reduce((sum, file) => sum + file.issues.length, 0);
+
+    if (issueCount === 0) {
+      elements.importReport.classList.add('hidden');
+      elements.importReportContent.innerHTML = '';
+      return;
+    }
+
+    const skippedCount = state.importReport.reduce((sum, file) =>
+      sum + file.issues.filter(issue => issue.severity === 'skipped').length, 0);
+    const warningCount = issueCount - skippedCount;
+
+    elements.importReport.querySelector('.import-report-count').textContent =
+      `(${skippedCount} skipped, ${warningCount} ${warningCount === 1 ? 'warning' : 'warnings'})`;
+
+    elements.importReportContent.innerHTML = state.importReport.map(file => {
+      const rowsHtml = file.issues.slice(0, IMPORT_REPORT_DISPLAY_LIMIT).map(issue => `
+        <tr class="import-issue-${issue.severity}">
+          <td>${issue.line}</td>
+          <td>${issue.severity === 'skipped' ? 'Skipped' : 'Warning'}: ${issue.reason}</td>
+          <td>${escapeHtml(formatRawValues(issue.raw))}</td>
+        </tr>
+      `).join('');
+
+      const hiddenCount = file.issues.length - IMPORT_REPORT_DISPLAY_LIMIT;
+      const moreHtml = hiddenCount > 0
+        ? `<p class="import-report-more">and ${hiddenCount} more. Download the report to see every row.</p>`
+        : '';
+
+      return `
+        <div class="import-report-file">
+          <h4>${escapeHtml(file.filename)} (${Heatmap.ACTIVITY_NAMES[file.type]})</h4>
+          <table class="import-report-table">
+            <thead><tr><th>Line</th><th>Reason</th><th>Values</th></tr></thead>
+            <tbody>${rowsHtml}</tbody>
+          </table>
+          ${moreHtml}
+        </div>
+      `;
+    }).join('');
+
+    elements.importReport.classList.remove('hidden');
+  }
+
+  /**
+   * Format a raw CSV row for display, skipping empty columns
+   * @param {Object} raw - Raw CSV row keyed by column name
+   * @returns {string} - e.g. "Time: 1/14/26, 12:56, Duration(minutes): 0"
+   */
+  function formatRawValues(raw) {
+    return Object.entries(raw)
+      .filter(([, value]) => value !== undefined && value !== null && String(value).trim() !== '')
+      .map(([column, value]) => `${column}: ${value}`)
+      .join(', ');
+  }
+
+  /**
+   * Handle import report download button click
+   */
+  function handleDownloadReport() {
+    const rows = [];
+
+    for (const file of state.importReport) {
+      for (const issue of file.issues) {
+        rows.push({
+          File: file.filename,
+          Type: Heatmap.ACTIVITY_NAMES[file.type],
+          Line: issue.line,
+          Severity: issue.severity,
+          Reason: issue.reason,
+          Values: formatRawValues(issue.raw)
+        });
+      }
+    }
+
+    downloadFile('import-report.csv', Papa.unparse(rows), 'text/csv');
+  }
+
+  /**
+   * Build the exportable image of the charts currently on screen
+   * @returns {SVGElement|null} - Standalone SVG with title, details and legend, or null if nothing is drawn
+   */
+  function buildChartImage() {
+    const panels = elements.heatmapContainer.querySelectorAll('.heatmap-panel');
+    const charts = panels.length > 0
+      ? Array.from(panels)
+        .filter(panel => panel.querySelector('svg'))
+        .map(panel => ({
+          title: panel.querySelector('.heatmap-panel-title').textContent.trim(),
+          svg: panel.querySelector('svg')
+        }))
+      : Array.from(elements.heatmapContainer.querySelectorAll('svg')).map(svg => ({ title: '', svg }));
+
+    if (charts.length === 0 || !state.heatmapData.dateRange) return null;
+
+    const isActogram = state.viewMode === 'actogram';
+    const start = state.dateFilter.start || state.heatmapData.dateRange.start;
+    const end = state.dateFilter.end || state.heatmapData.dateRange.end;
+
+    const layerVisibility = getLayerVisibility();
+    const layers = Object.keys(state.heatmapData.heatmaps)
+      .filter(layer => layerVisibility[layer])
+      .map(layer => ({ name: Heatmap.ACTIVITY_NAMES[layer], color: Heatmap.ACTIVITY_COLORS[layer] }));
+
+    const chartData = chartDataBySvg.get(charts[0].svg);
+    const comparison = chartData && chartData.comparison;
+
+    const details = [
+      `Date range: ${formatDate(start)} - ${formatDate(end)}`,
+      ...(comparison ? [`Compared with: ${comparison.baselineTitle}`] : []),
+      `Days counted: ${formatSampleSize(state.heatmapData)}`,
+      `Layers shown: ${layers.length > 0 ? layers.map(layer => layer.name).join(', ') : 'none'}`
+    ];
+    if (state.childFilter !== ALL_CHILDREN && !state.childSideBySide) {
+      details.unshift(`Child: ${state.childFilter}`);
+    }
+
+    const isDifference = Boolean(comparison) && state.comparison.mode === COMPARE_MODES.difference;
+    if (isDifference) {
+      details.push('Solid: more likely than in the comparison range; striped: less likely');
+    }
+
+    return ImageExport.buildDocument(charts, {
+      title: isActogram ? 'Baby Activity by Day' : 'Baby Activity Heatmap',
+      details,
+      layers,
+      showLikelihoodScale: !isActogram && !isDifference
+    });
+  }
+
+  /**
+   * Get a filename for an exported chart
+   * @param {string} extension - File extension without the dot
+   * @returns {string} - e.g. "baby-heatmap-2026-01-14.png"
+   */
+  function getChartFilename(extension) {
+    const name = state.viewMode === 'actogram' ? 'baby-actogram' : 'baby-heatmap';
+    return `${name}-${formatDateForInput(new Date())}.${extension}`;
+  }
+
+  /**
+   * Download the current chart as an SVG file
+   */
+  function handleExportSvg() {
+    const image = buildChartImage();
+    if (!image) return;
+    downloadFile(getChartFilename('svg'), ImageExport.serialize(image), 'image/svg+xml');
+  }
+
+  /**
+   * Download the current chart as a PNG at the selected resolution
+   */
+  async function handleExportPng() {
+    const image = buildChartImage();
+    if (!image) return;
+
+    try {
+      const png = await ImageExport.toPng(image, parseFloat(elements.exportScale.value));
+      downloadFile(getChartFilename('png'), png, 'image/png');
+    } catch (error) {
+      console.error('Error exporting image:', error);
+      alert(`Error exporting image: ${error.message}`);
+    }
+  }
+
+  /**
+   * Trigger a browser download of generated content
+   * @param {string} filename - Suggested filename
+   * @param {string|Blob} content - File content
+   * @param {string} mimeType - MIME type for string content
+   */
+  function downloadFile(filename, content, mimeType) {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    URL.revokeObjectURL(url);
   }
 
   /**
@@ -518,10 +1525,17 @@ const App = (function() {
     const filteredActivities = getFilteredActivities();
 
     toggleItems.forEach(item => {
-      const activityType = item.dataset.activity;
+      const layer = item.dataset.activity;
       const countSpan = item.querySelector('.toggle-count');
-      const activities = filteredActivities[activityType];
-      const count = activities ? activities.length : 0;
+      const type = Heatmap.getLayerType(layer);
+      let count;
+      if (layer === 'feeding') {
+        count = Analytics.getFeeds(filteredActivities).length;
+      } else if (type === layer) {
+        count = filteredActivities[type].length;
+      } else {
+        count = filteredActivities[type].filter(activity => Heatmap.getActivityLayer(activity) === layer).length;
+      }
 
       if (count > 0) {
         countSpan.textContent = `(${count})`;
@@ -543,6 +1557,11 @@ const App = (function() {
       elements.togglesSection.classList.remove('hidden');
       elements.predictionSection.classList.remove('hidden');
       elements.statisticsSection.classList.remove('hidden');
+      elements.intervalsSection.classList.remove('hidden');
+      elements.trendsSection.classList.remove('hidden');
+      elements.pumpingSection.classList.remove('hidden');
+      elements.qualitySection.classList.remove('hidden');
+      elements.dataTableSection.classList.remove('hidden');
       elements.heatmapSection.classList.remove('hidden');
       if (elements.gettingStarted) {
         elements.gettingStarted.classList.add('hidden');
@@ -558,6 +1577,11 @@ const App = (function() {
       elements.togglesSection.classList.add('hidden');
       elements.predictionSection.classList.add('hidden');
       elements.statisticsSection.classList.add('hidden');
+      elements.intervalsSection.classList.add('hidden');
+      elements.trendsSection.classList.add('hidden');
+      elements.pumpingSection.classList.add('hidden');
+      elements.qualitySection.classList.add('hidden');
+      elements.dataTableSection.classList.add('hidden');
       elements.heatmapSection.classList.add('hidden');
       if (elements.gettingStarted) {
         elements.gettingStarted.classList.remove('hidden');
@@ -582,29 +1606,187 @@ const App = (function() {
   }
 
   /**
-   * Render the heatmap
+   * Recalculate the panels renderHeatmap draws, including any comparison baseline
+   * Call whenever the data, child, day grouping or comparison changes; redraws alone reuse them
+   */
+  function updateHeatmapPanels() {
+    state.heatmapPanels = state.heatmapData ? getHeatmapPanels() : null;
+  }
+
+  /**
+   * Work out which heatmaps to draw for the current child, day grouping and comparison settings
+   * @returns {Array} - Array of { title, heatmapData, activities (the ones counted), comparison (optional) };
+   *   a single untitled entry for the default view
+   */
+  function getHeatmapPanels() {
+    if (state.comparison.mode !== COMPARE_MODES.off) {
+      return getComparisonPanels();
+    }
+
+    const grouping = state.dayGrouping;
+
+    if (!state.childSideBySide && grouping === Heatmap.DAY_GROUPINGS.none) {
+      return [{ title: '', heatmapData: state.heatmapData, activities: getFilteredActivities() }];
+    }
+
+    const children = state.childSideBySide ? getChildNames() : [state.childFilter];
+    const panels = [];
+
+    for (const child of children) {
+      const activities = getFilteredActivities(child);
+
+      if (grouping === Heatmap.DAY_GROUPINGS.none) {
+        panels.push({ title: child, heatmapData: Heatmap.calculateAllHeatmaps(activities, getHeatmapOptions()), activities });
+        continue;
+      }
+
+      for (const group of Heatmap.calculateGroupedHeatmaps(activities, grouping, getHeatmapOptions())) {
+        if (state.dayFacet !== ALL_GROUPS && state.dayFacet !== group.key) continue;
+
+        const groupActivities = {};
+        for (const type in activities) {
+          groupActivities[type] = activities[type]
+            .filter(activity => Heatmap.getDayGroupKey(activity.start || activity.time, grouping) === group.key);
+        }
+
+        panels.push({
+          title: state.childSideBySide ? `${child}: ${group.name}` : group.name,
+          heatmapData: group.heatmapData,
+          activities: groupActivities
+        });
+      }
+    }
+
+    return panels;
+  }
+
+  /**
+   * Build the heatmaps comparing the selected date range with the comparison range, for the selected child
+   * Every panel carries both heatmaps so its tooltip can show both probabilities
+   * @returns {Array} - Array of { title, days, heatmapData, activities, comparison: { heatmapData, baselineData, baselineTitle } }
+   */
+  function getComparisonPanels() {
+    const heatmapData = state.heatmapData;
+    const activities = getFilteredActivities();
+    const baselineActivities = getFilteredActivities(state.childFilter, state.comparison);
+    const baselineData = Heatmap.calculateAllHeatmaps(baselineActivities, getHeatmapOptions());
+    const title = describeDateRange(state.dateFilter, heatmapData);
+    const baselineTitle = describeDateRange(state.comparison, baselineData);
+    const comparison = { heatmapData, baselineData, baselineTitle };
+
+    if (state.comparison.mode === COMPARE_MODES.difference) {
+      return [{
+        title: `${title} compared with ${baselineTitle}`,
+        days: `${formatSampleSize(heatmapData)} vs ${formatSampleSize(baselineData)}`,
+        heatmapData: Heatmap.calculateDifference(heatmapData, baselineData),
+        activities,
+        comparison
+      }];
+    }
+
+    return [
+      { title, heatmapData, activities, comparison },
+      { title: `Compared with ${baselineTitle}`, heatmapData: baselineData, activities: baselineActivities, comparison }
+    ];
+  }
+
+  /**
+   * Render the heatmap, or a grid of smaller heatmaps when splitting by child, day of week or date range
    */
   function renderHeatmap() {
     if (!state.heatmapData) return;
 
-    const svg = Heatmap.render(
-      state.heatmapData,
-      state.visibility,
-      elements.heatmapContainer
-    );
+    if (state.viewMode === 'actogram') {
+      renderActogram();
+      return;
+    }
+
+    const panels = state.heatmapPanels;
+
+    if (panels.length === 1 && !panels[0].title) {
+      elements.heatmapContainer.classList.remove('heatmap-panels');
+      const svg = Heatmap.render(
+        panels[0].heatmapData,
+        getLayerVisibility(),
+        elements.heatmapContainer
+      );
+
+      // Bind tooltip events
+      bindTooltipEvents(svg, panels[0]);
+      return;
+    }
+
+    elements.heatmapContainer.innerHTML = '';
+    elements.heatmapContainer.classList.add('heatmap-panels');
+
+    for (const panelData of panels) {
+      const { title, days, heatmapData } = panelData;
+      const panel = document.createElement('div');
+      panel.className = 'heatmap-panel';
+      panel.innerHTML = `<div class="heatmap-panel-title">${escapeHtml(title)} <span class="heatmap-panel-days">(${days || formatSampleSize(heatmapData)})</span></div><div class="heatmap-panel-chart"></div>`;
+      elements.heatmapContainer.appendChild(panel);
+
+      const svg = Heatmap.render(heatmapData, getLayerVisibility(), panel.querySelector('.heatmap-panel-chart'));
+      bindTooltipEvents(svg, panelData);
+    }
+  }
+
+  /**
+   * Render the actogram (one row per day), per child when viewing children side by side
+   */
+  function renderActogram() {
+    const children = state.childSideBySide ? getChildNames() : [state.childFilter];
+    const container = elements.heatmapContainer;
+
+    container.innerHTML = '';
+    container.classList.toggle('heatmap-panels', children.length > 1);
+
+    for (const child of children) {
+      const activities = getFilteredActivities(child);
+      let chartContainer = container;
+
+      if (children.length > 1) {
+        const panel = document.createElement('div');
+        panel.className = 'heatmap-panel';
+        panel.innerHTML = `<div class="heatmap-panel-title">${escapeHtml(child)}</div><div class="heatmap-panel-chart"></div>`;
+        container.appendChild(panel);
+        chartContainer = panel.querySelector('.heatmap-panel-chart');
+      }
+
+      const svg = Actogram.render(activities, getLayerVisibility(), chartContainer);
+      if (!svg) continue;
 
-    // Bind tooltip events
-    bindTooltipEvents(svg);
+      chartDataBySvg.set(svg, { activities });
+      bindHoverTargets(svg);
+      if (state.highlightedDay) Actogram.highlightDay(svg, state.highlightedDay);
+    }
   }
 
   /**
-   * Bind tooltip events to heatmap
+   * Bind tooltip and drill-down events to heatmap
    * @param {SVGElement} svg - The SVG element
+   * @param {Object} panel - Panel from getHeatmapPanels: { heatmapData, activities, comparison (optional) }
    */
-  function bindTooltipEvents(svg) {
-    // Store SVG reference for minute calculation
-    state.currentSvg = svg;
+  function bindTooltipEvents(svg, panel) {
+    // Remember which data each chart shows, for charts rendered side by side
+    chartDataBySvg.set(svg, {
+      heatmapData: panel.heatmapData,
+      activities: panel.activities,
+      comparison: panel.comparison
+    });
+    bindHoverTargets(svg);
 
+    svg.classList.add('heatmap-clickable');
+    svg.querySelectorAll('.hover-target').forEach(target => {
+      target.addEventListener('click', handleHeatmapClick);
+    });
+  }
+
+  /**
+   * Attach the tooltip handlers to a chart's hover targets
+   * @param {SVGElement} svg - The SVG element
+   */
+  function bindHoverTargets(svg) {
     const hoverTargets = svg.querySelectorAll('.hover-target');
 
     hoverTargets.forEach(target => {
@@ -638,20 +1820,35 @@ const App = (function() {
    * @param {Event} event - Mouse event
    */
   function updateTooltipContent(event) {
-    if (!state.currentSvg) return;
+    const svg = event.currentTarget.ownerSVGElement;
+    const chartData = chartDataBySvg.get(svg);
+    if (!chartData) return;
+
+    if (!chartData.heatmapData) {
+      updateActogramTooltipContent(svg, event, chartData.activities);
+      return;
+    }
+
+    const { heatmapData } = chartData;
 
-    const minute = Heatmap.getMinuteFromEvent(state.currentSvg, event);
+    const minute = Heatmap.getMinuteFromEvent(svg, event);
     if (minute === null) return;
 
+    if (chartData.comparison) {
+      updateComparisonTooltipContent(minute, chartData.comparison);
+      return;
+    }
+
     const timeStr = Heatmap.minutesToTimeString(minute);
 
     // Build tooltip content
     let activitiesHtml = '';
-    const { heatmaps } = state.heatmapData;
+    const { heatmaps } = heatmapData;
 
     // Get visible activities with non-zero intensity for this minute
+    const layerVisibility = getLayerVisibility();
     const visibleActivities = Object.keys(heatmaps)
-      .filter(type => state.visibility[type])
+      .filter(type => layerVisibility[type])
       .map(type => ({
         type,
         name: heatmaps[type].name,
@@ -678,6 +1875,224 @@ const App = (function() {
     `;
   }
 
+  /**
+   * Update tooltip content when comparing date ranges, showing each layer's probability in both
+   * @param {number} minute - Minute of the day under the cursor
+   * @param {Object} comparison - { heatmapData, baselineData, baselineTitle } from getComparisonPanels
+   */
+  function updateComparisonTooltipContent(minute, comparison) {
+    const getProbability = (data, layer) => (data.heatmaps[layer] ? data.heatmaps[layer].rawIntensities[minute] : 0);
+    const layerVisibility = getLayerVisibility();
+
+    const layers = Object.keys({ ...comparison.heatmapData.heatmaps, ...comparison.baselineData.heatmaps })
+      .filter(layer => layerVisibility[layer])
+      .map(layer => ({
+        layer,
+        current: getProbability(comparison.heatmapData, layer),
+        baseline: getProbability(comparison.baselineData, layer)
+      }))
+      .filter(entry => entry.current > 0 || entry.baseline > 0)
+      .sort((a, b) => Math.max(b.current, b.baseline) - Math.max(a.current, a.baseline));
+
+    const activitiesHtml = layers.length > 0
+      ? layers.map(entry => `
+        <div class="tooltip-activity">
+          <span class="tooltip-dot" style="background-color: ${Heatmap.ACTIVITY_COLORS[entry.layer]};"></span>
+          <span>${Heatmap.ACTIVITY_NAMES[entry.layer]}: ${Heatmap.formatPercentage(entry.current)} vs ${Heatmap.formatPercentage(entry.baseline)}</span>
+        </div>
+      `).join('')
+      : '<div class="tooltip-activity">No activity data</div>';
+
+    elements.tooltip.innerHTML = `
+      <div class="tooltip-time">${Heatmap.minutesToTimeString(minute)}</div>
+      <div class="tooltip-note">Selected range vs comparison</div>
+      <div class="tooltip-activities">${activitiesHtml}</div>
+    `;
+  }
+
+  /**
+   * Update tooltip content for the actogram, listing the logged activities under the cursor
+   * @param {SVGElement} svg - The actogram SVG
+   * @param {Event} event - Mouse event
+   * @param {Object} activities - Activities drawn in this actogram, keyed by type
+   */
+  function updateActogramTooltipContent(svg, event, activities) {
+    const time = Actogram.getTimeFromEvent(svg, event);
+    if (!time) return;
+
+    const layerVisibility = getLayerVisibility();
+    const matches = findActivitiesAt(activities, time)
+      .filter(activity => Heatmap.getDrawnLayers(activity).some(layer => layerVisibility[layer]));
+
+    const activitiesHtml = matches.length > 0
+      ? matches.map(activity => `
+        <div class="tooltip-activity">
+          <span class="tooltip-dot" style="background-color: ${Heatmap.ACTIVITY_COLORS[Heatmap.getActivityLayer(activity)]};"></span>
+          <span>${Heatmap.ACTIVITY_NAMES[Heatmap.getActivityLayer(activity)]}: ${describeActivity(activity)}</span>
+        </div>
+      `).join('')
+      : '<div class="tooltip-activity">Nothing logged</div>';
+
+    elements.tooltip.innerHTML = `
+      <div class="tooltip-time">${formatDate(time)} ${Heatmap.minutesToTimeString(time.getHours() * 60 + time.getMinutes())}</div>
+      <div class="tooltip-activities">${activitiesHtml}</div>
+    `;
+  }
+
+  /**
+   * Handle a click on the heatmap: list the events behind the clicked minute
+   * @param {Event} event - Click event from a hover target
+   */
+  function handleHeatmapClick(event) {
+    const svg = event.currentTarget.ownerSVGElement;
+    const chartData = chartDataBySvg.get(svg);
+    const minute = Heatmap.getMinuteFromEvent(svg, event);
+    if (!chartData || minute === null) return;
+
+    showDrilldown(minute, chartData.activities);
+  }
+
+  /**
+   * Show the drill-down panel listing every visible activity covering a minute of the day
+   * @param {number} minute - Minute of the day
+   * @param {Object} activities - Activities the chart was calculated from, keyed by type
+   */
+  function showDrilldown(minute, activities) {
+    const layerVisibility = getLayerVisibility();
+    // An event is on the heatmap if any layer drawing it is shown, e.g. a bottle under "All feeds"
+    const matches = findActivitiesAtMinute(activities, minute)
+      .filter(activity => Heatmap.getDrawnLayers(activity).some(layer => layerVisibility[layer]));
+
+    elements.drilldownTitle.textContent =
+      `${matches.length} ${matches.length === 1 ? 'event' : 'events'} covering ${Heatmap.minutesToTimeString(minute)}`;
+
+    if (matches.length === 0) {
+      elements.drilldownContent.innerHTML = '<div class="prediction-empty">Nothing logged at this time of day</div>';
+    } else {
+      elements.drilldownContent.innerHTML = `
+        <table class="drilldown-table">
+          <thead>
+            <tr><th>Date</th><th>Activity</th><th>Time</th><th>Note</th></tr>
+          </thead>
+          <tbody>
+            ${matches.map((activity, index) => {
+              const layer = Heatmap.getActivityLayer(activity);
+              return `
+                <tr class="drilldown-row" data-index="${index}" tabindex="0" title="Show this day in the daily rows view">
+                  <td>${formatDate(activity.start || activity.time)}</td>
+                  <td><span class="drilldown-dot" style="background-color: ${Heatmap.ACTIVITY_COLORS[layer]};"></span>${Heatmap.ACTIVITY_NAMES[layer]}</td>
+                  <td>${describeActivity(activity)}</td>
+                  <td>${escapeHtml(activity.note || '')}</td>
+                </tr>
+              `;
+            }).join('')}
+          </tbody>
+        </table>
+      `;
+
+      elements.drilldownContent.querySelectorAll('.drilldown-row').forEach(row => {
+        const activity = matches[Number(row.dataset.index)];
+        row.addEventListener('click', () => jumpToDay(activity.start || activity.time));
+        row.addEventListener('keydown', event => {
+          if (event.key === 'Enter') jumpToDay(activity.start || activity.time);
+        });
+      });
+    }
+
+    elements.drilldown.classList.remove('hidden');
+  }
+
+  /**
+   * Hide the drill-down panel
+   */
+  function hideDrilldown() {
+    elements.drilldown.classList.add('hidden');
+  }
+
+  /**
+   * Switch to the daily rows view and highlight a day
+   * @param {Date} date - Any time on the day to show
+   */
+  function jumpToDay(date) {
+    state.viewMode = 'actogram';
+    state.highlightedDay = date;
+    updateViewModeControls();
+    renderHeatmap();
+    persistState();
+
+    const highlight = elements.heatmapContainer.querySelector('.actogram-highlight');
+    if (highlight) {
+      highlight.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+  }
+
+  /**
+   * Find the activities covering a minute of the day on any day
+   * Instant events count if they are within the same window the heatmap marks around them
+   * @param {Object} activities - Activities keyed by type
+   * @param {number} minute - Minute of the day (0-1439)
+   * @returns {Array} - Matching activities, most recent first
+   */
+  function findActivitiesAtMinute(activities, minute) {
+    const minutesPerDay = Heatmap.MINUTES_PER_DAY;
+    const matches = [];
+
+    for (const type in activities) {
+      for (const activity of activities[type]) {
+        const time = activity.start || activity.time;
+        // Minutes from the activity's time of day to the clicked minute, wrapping past midnight
+        const offset = (minute - (time.getHours() * 60 + time.getMinutes()) + minutesPerDay) % minutesPerDay;
+
+        if (activity.start) {
+          if (offset < activity.durationMinutes) matches.push(activity);
+        } else if (offset <= INSTANT_WINDOW_MINUTES || offset >= minutesPerDay - INSTANT_WINDOW_MINUTES) {
+          matches.push(activity);
+        }
+      }
+    }
+
+    return matches.sort((a, b) => (b.start || b.time) - (a.start || a.time));
+  }
+
+  /**
+   * Find the activities drawn at a moment in the actogram
+   * Instant events count over the tick the actogram draws for them
+   * @param {Object} activities - Activities keyed by type
+   * @param {Date} time - The moment to look up
+   * @returns {Array} - Matching activities, earliest first
+   */
+  function findActivitiesAt(activities, time) {
+    const t = time.getTime();
+    const matches = [];
+
+    for (const type in activities) {
+      for (const activity of activities[type]) {
+        const { start, end } = Actogram.getSpan(activity);
+        if (t >= start && t < end) matches.push(activity);
+      }
+    }
+
+    return matches.sort((a, b) => (a.start || a.time) - (b.start || b.time));
+  }
+
+  /**
+   * Describe an activity's time and details in a few words
+   * @param {Object} activity - Activity object
+   * @returns {string} - e.g. "19:54 - 06:54 (11h)", "08:38 (1.5 oz)" or "15:58 (Wet)"
+   */
+  function describeActivity(activity) {
+    const toTimeString = date => Heatmap.minutesToTimeString(date.getHours() * 60 + date.getMinutes());
+
+    if (activity.start) {
+      const end = new Date(activity.start.getTime() + activity.durationMinutes * 60000);
+      return `${toTimeString(activity.start)} - ${toTimeString(end)} (${formatDuration(activity.durationMinutes)})`;
+    }
+    if (activity.type === 'bottle') {
+      return activity.amount > 0 ? `${toTimeString(activity.time)} (${formatAmount(activity.amount)})` : toTimeString(activity.time);
+    }
+    return `${toTimeString(activity.time)} (${escapeHtml(activity.status)})`;
+  }
+
   /**
    * Handle tooltip hide
    */
@@ -721,21 +2136,44 @@ const App = (function() {
     }
   }
 
+  /**
+   * Get the heatmap the "Right Now" panel should read from
+   * When days are grouped, today's group (e.g. "Weekends") is a better predictor than all days
+   * @returns {Object} - { title, heatmapData } where title is the group name or empty
+   */
+  function getPredictionHeatmap() {
+    const grouping = state.dayGrouping;
+    if (grouping === Heatmap.DAY_GROUPINGS.none) {
+      return { title: '', heatmapData: state.heatmapData };
+    }
+
+    const todayKey = Heatmap.getDayGroupKey(new Date(), grouping);
+    const group = Heatmap.calculateGroupedHeatmaps(getFilteredActivities(), grouping, getHeatmapOptions())
+      .find(g => g.key === todayKey);
+
+    return { title: group.name, heatmapData: group.heatmapData };
+  }
+
   /**
    * Update the predictions panel with current time data
    */
   function updatePredictions() {
     if (!state.heatmapData || !elements.predictionContent) return;
 
+    updateForecasts();
+
     const currentMinutes = Heatmap.getCurrentMinutes();
     const timeStr = Heatmap.minutesToTimeString(currentMinutes);
-    elements.predictionTime.textContent = timeStr;
+    const { title, heatmapData } = getPredictionHeatmap();
+    elements.predictionTime.textContent = title ? `${timeStr} (${title} pattern)` : timeStr;
+    const basisHtml = `<div class="prediction-basis">Based on ${formatSampleSize(heatmapData)}</div>`;
 
-    const { heatmaps } = state.heatmapData;
+    const { heatmaps } = heatmapData;
 
     // Get predictions for visible activities
+    const layerVisibility = getLayerVisibility();
     const predictions = Object.keys(heatmaps)
-      .filter(type => state.visibility[type])
+      .filter(type => layerVisibility[type])
       .map(type => ({
         type,
         name: heatmaps[type].name,
@@ -747,7 +2185,7 @@ const App = (function() {
       .sort((a, b) => b.intensity - a.intensity);
 
     if (predictions.length === 0) {
-      elements.predictionContent.innerHTML = '<div class="prediction-empty">No predicted activities at this time</div>';
+      elements.predictionContent.innerHTML = '<div class="prediction-empty">No predicted activities at this time</div>' + basisHtml;
       return;
     }
 
@@ -760,20 +2198,89 @@ const App = (function() {
         </div>
         <span class="prediction-percentage">${Math.round(p.intensity * 100)}%</span>
       </div>
-    `).join('');
+    `).join('') + basisHtml;
   }
 
   /**
-   * Calculate and display statistics
+   * Show when each visible activity is next likely to start, and how long since the last one
    */
-  function updateStatistics() {
-    if (!elements.statisticsContent) return;
-
+  function updateForecasts() {
     const filteredActivities = getFilteredActivities();
-    const statsHtml = [];
+    const forecasts = Forecast.forecastAll(filteredActivities)
+      .filter(forecast => state.visibility[forecast.type]);
+    const nextSide = Analytics.suggestNextSide(filteredActivities.nursing);
 
-    // Sleep statistics
-    if (filteredActivities.sleep.length > 0) {
+    if (forecasts.length === 0) {
+      elements.forecastContent.innerHTML = '';
+      return;
+    }
+
+    elements.forecastContent.innerHTML = `
+      <h3>Up Next</h3>
+      ${forecasts.map(forecast => `
+        <div class="forecast-item">
+          <div class="prediction-color" style="background-color: ${Heatmap.ACTIVITY_COLORS[forecast.type]};"></div>
+          <span class="prediction-label">${Heatmap.ACTIVITY_NAMES[forecast.type]}</span>
+          <span class="forecast-detail">${describeForecast(forecast)}${forecast.type === 'nursing' && nextSide ? describeNextSide(nextSide) : ''}</span>
+        </div>
+      `).join('')}
+    `;
+  }
+
+  /**
+   * Describe which side to start the next nursing session on
+   * @param {Object} nextSide - Suggestion from Analytics.suggestNextSide
+   * @returns {string} - HTML text such as " · start on <strong>Left</strong> (last one started on Right)"
+   */
+  function describeNextSide(nextSide) {
+    const last = nextSide.last;
+    const lastSides = [];
+    if (last.leftMinutes > 0) lastSides.push(`L ${formatDuration(last.leftMinutes)}`);
+    if (last.rightMinutes > 0) lastSides.push(`R ${formatDuration(last.rightMinutes)}`);
+    const lastDetail = lastSides.length > 0 ? lastSides.join(', ') : `started on ${last.startSide}`;
+    return ` · start on <strong>${nextSide.side}</strong> next (last one ${lastDetail})`;
+  }
+
+  /**
+   * Describe a forecast in a sentence
+   * @param {Object} forecast - Forecast from Forecast.forecastAll
+   * @returns {string} - HTML text such as "Likely around 14:10 (13:50 - 14:40) · started 1h 20m ago"
+   */
+  function describeForecast(forecast) {
+    const toTimeString = date => Heatmap.minutesToTimeString(date.getHours() * 60 + date.getMinutes());
+
+    if (forecast.inProgress) {
+      return 'In progress';
+    }
+
+    const since = `${forecast.measuredFromEnd ? 'ended' : 'started'} ${formatDuration(forecast.elapsedMinutes)} ago`;
+
+    if (forecast.stale) {
+      return `Last one ${forecast.measuredFromEnd ? 'ended' : 'started'} ${formatDate(forecast.lastTime)} ${toTimeString(forecast.lastTime)}, too long ago to forecast`;
+    }
+    if (forecast.sampleSize < Forecast.MIN_SAMPLE_SIZE) {
+      return `Last one ${since} · not enough history to forecast`;
+    }
+    if (forecast.overdue) {
+      return `Last one ${since} · longer than any gap seen before`;
+    }
+
+    const minutesUntil = Math.max(0, Math.round((forecast.expected - Date.now()) / 60000));
+    const until = minutesUntil > 0 ? `in ${formatDuration(minutesUntil)}` : 'any time now';
+    return `Likely around <strong>${toTimeString(forecast.expected)}</strong> (${until}, usually ${toTimeString(forecast.earliest)} - ${toTimeString(forecast.latest)}) · last one ${since}`;
+  }
+
+  /**
+   * Calculate and display statistics
+   */
+  function updateStatistics() {
+    if (!elements.statisticsContent) return;
+
+    const filteredActivities = getFilteredActivities();
+    const statsHtml = [];
+
+    // Sleep statistics
+    if (filteredActivities.sleep.length > 0) {
       const sleepStats = calculateSleepStats(filteredActivities.sleep);
       statsHtml.push(createStatCard('Sleep', Heatmap.ACTIVITY_COLORS.sleep, [
         { label: 'Total sessions', value: sleepStats.totalSessions },
@@ -785,11 +2292,20 @@ const App = (function() {
     // Nursing statistics
     if (filteredActivities.nursing.length > 0) {
       const nursingStats = calculateNursingStats(filteredActivities.nursing);
-      statsHtml.push(createStatCard('Nursing', Heatmap.ACTIVITY_COLORS.nursing, [
+      const nursingItems = [
         { label: 'Total sessions', value: nursingStats.totalSessions },
         { label: 'Avg duration', value: formatDuration(nursingStats.avgDuration) },
         { label: 'Per day', value: nursingStats.perDay.toFixed(1) }
-      ]));
+      ];
+      if (nursingStats.sides.sessions > 0) {
+        const leftPercent = Math.round(nursingStats.sides.leftShare * 100);
+        nursingItems.push(
+          { label: 'Avg left', value: formatDuration(nursingStats.sides.avgLeftMinutes) },
+          { label: 'Avg right', value: formatDuration(nursingStats.sides.avgRightMinutes) },
+          { label: 'Left / right', value: `${leftPercent}% / ${100 - leftPercent}%` }
+        );
+      }
+      statsHtml.push(createStatCard('Nursing', Heatmap.ACTIVITY_COLORS.nursing, nursingItems));
     }
 
     // Pumping statistics
@@ -798,7 +2314,7 @@ const App = (function() {
       statsHtml.push(createStatCard('Pumping', Heatmap.ACTIVITY_COLORS.pumping, [
         { label: 'Total sessions', value: pumpingStats.totalSessions },
         { label: 'Avg duration', value: formatDuration(pumpingStats.avgDuration) },
-        { label: 'Avg amount', value: pumpingStats.avgAmount > 0 ? `${pumpingStats.avgAmount.toFixed(1)} oz` : 'N/A' }
+        { label: 'Avg amount', value: pumpingStats.avgAmount > 0 ? formatAmount(pumpingStats.avgAmount) : 'N/A' }
       ]));
     }
 
@@ -807,27 +2323,754 @@ const App = (function() {
       const bottleStats = calculateBottleStats(filteredActivities.bottle);
       statsHtml.push(createStatCard('Bottle', Heatmap.ACTIVITY_COLORS.bottle, [
         { label: 'Total feedings', value: bottleStats.totalFeedings },
-        { label: 'Avg amount', value: bottleStats.avgAmount > 0 ? `${bottleStats.avgAmount.toFixed(1)} oz` : 'N/A' },
+        { label: 'Avg amount', value: bottleStats.avgAmount > 0 ? formatAmount(bottleStats.avgAmount) : 'N/A' },
         { label: 'Per day', value: bottleStats.perDay.toFixed(1) }
       ]));
     }
 
+    // Feeding across nursing and bottles, and the pumped milk stash
+    if (filteredActivities.nursing.length > 0 || filteredActivities.bottle.length > 0) {
+      const feeding = Analytics.summarizeFeeding(filteredActivities);
+      const feedingItems = [
+        { label: 'Feeds per day', value: feeding.feedsPerDay.toFixed(1) },
+        { label: 'Nursing per day', value: formatDuration(feeding.nursingMinutesPerDay) },
+        { label: 'Bottle intake per day', value: formatAmount(feeding.bottleOuncesPerDay) }
+      ];
+      if (feeding.pumpedOunces > 0) {
+        const sign = feeding.stashBalance > 0 ? '+' : feeding.stashBalance < 0 ? '-' : '';
+        feedingItems.push({ label: 'Stash balance', value: `${sign}${formatAmount(Math.abs(feeding.stashBalance))}` });
+      }
+      const stashFooter = feeding.pumpedOunces > 0
+        ? `<div class="stat-note">${formatAmount(feeding.pumpedOunces)} pumped, ${formatAmount(feeding.bottledOunces)} bottled</div>`
+        : '';
+      statsHtml.push(createStatCard('Feeding', Heatmap.ACTIVITY_COLORS.feeding, feedingItems, stashFooter));
+    }
+
     // Diaper statistics
     if (filteredActivities.diaper.length > 0) {
       const diaperStats = calculateDiaperStats(filteredActivities.diaper);
       statsHtml.push(createStatCard('Diaper', Heatmap.ACTIVITY_COLORS.diaper, [
         { label: 'Total changes', value: diaperStats.totalChanges },
-        { label: 'Per day', value: diaperStats.perDay.toFixed(1) }
-      ]));
+        { label: 'Per day', value: diaperStats.perDay.toFixed(1) },
+        { label: 'Wet per day', value: diaperStats.wetPerDay.toFixed(1) },
+        { label: 'Dirty per day', value: diaperStats.dirtyPerDay.toFixed(1) }
+      ], createWetDiaperAlert(diaperStats.lowWetDays)));
     }
 
     elements.statisticsContent.innerHTML = statsHtml.join('');
+
+    updateIntervalAnalysis(filteredActivities);
+    updateTrends(filteredActivities);
+    updatePumpingReport(filteredActivities);
+    updateQualityReport();
+    updateDataTable(filteredActivities);
+  }
+
+  /**
+   * Handle a change to the rolling average window
+   */
+  function handleTrendWindowChange() {
+    state.trendWindow = parseInt(elements.trendWindow.value, 10);
+    const filteredActivities = getFilteredActivities();
+    updateTrends(filteredActivities);
+    updatePumpingReport(filteredActivities);
+    persistState();
+  }
+
+  /**
+   * Show a chart of each daily total over the date range, with a rolling average
+   * @param {Object} filteredActivities - Activities in the current date range, keyed by type
+   */
+  function updateTrends(filteredActivities) {
+    elements.trendWindow.value = String(state.trendWindow);
+
+    const days = Analytics.getDailyTotals(filteredActivities);
+    const dates = days.map(day => day.date);
+    const metrics = Analytics.TREND_METRICS.filter(metric => filteredActivities[metric.type].length > 0);
+
+    if (days.length === 0 || metrics.length === 0) {
+      elements.trendsContent.innerHTML = '<div class="prediction-empty">No data in this date range</div>';
+      return;
+    }
+
+    const toSeries = (metric, values, chartOptions = {}) => {
+      const logged = values.filter(value => value !== null);
+      return {
+        metric,
+        values,
+        averages: Analytics.rollingAverage(values, state.trendWindow),
+        mean: logged.reduce((sum, value) => sum + value, 0) / logged.length,
+        chartOptions
+      };
+    };
+    const series = metrics.map(metric => toSeries(metric, days.map(day => day[metric.key])));
+
+    // Share of nursing time on the left, for days that recorded per-side durations
+    const leftShares = days.map(day => {
+      const sideMinutes = day.nursingLeftMinutes + day.nursingRightMinutes;
+      return sideMinutes > 0 ? (day.nursingLeftMinutes / sideMinutes) * 100 : null;
+    });
+    if (leftShares.some(value => value !== null)) {
+      const sideBalance = { key: 'nursingLeftShare', label: 'Side Balance (left %)', type: 'nursing', unit: 'percent' };
+      series.push(toSeries(sideBalance, leftShares, { maxValue: 100, referenceValue: 50 }));
+    }
+
+    elements.trendsContent.innerHTML = series.map(({ metric, mean }) => {
+      const color = Heatmap.ACTIVITY_COLORS[metric.type];
+      return `
+        <div class="stat-card" style="border-left-color: ${color};">
+          <div class="stat-card-header">
+            <div class="stat-color" style="background-color: ${color};"></div>
+            <span class="stat-title">${metric.label}</span>
+          </div>
+          <div class="stat-item">
+            <span class="stat-label">Average per day</span>
+            <span class="stat-value">${formatTrendValue(metric, mean)}</span>
+          </div>
+          <div class="trend-chart"></div>
+        </div>
+      `;
+    }).join('');
+
+    elements.trendsContent.querySelectorAll('.trend-chart').forEach((chart, index) => {
+      const { metric, values, averages, chartOptions } = series[index];
+      Charts.renderTrend(dates, values, averages, {
+        color: Heatmap.ACTIVITY_COLORS[metric.type],
+        formatValue: value => formatTrendValue(metric, value),
+        ...chartOptions
+      }, chart);
+    });
+  }
+
+  /**
+   * Format a daily total for display
+   * @param {Object} metric - Entry from Analytics.TREND_METRICS
+   * @param {number} value - Value in the metric's unit (amounts in ounces)
+   * @returns {string} - e.g. "13.5h", "45 min", "24 oz", "55%" or "6.2"
+   */
+  function formatTrendValue(metric, value) {
+    if (metric.unit === 'hours') return `${value.toFixed(1)}h`;
+    if (metric.unit === 'percent') return `${Math.round(value)}%`;
+    if (metric.unit === 'minutes') return formatDuration(value);
+    if (metric.unit === 'ounces') return formatAmount(value);
+    return Number.isInteger(value) ? String(value) : value.toFixed(1);
+  }
+
+  /**
+   * Show pumping output by time of day, its daily trend and how much each minute of pumping yields
+   * @param {Object} filteredActivities - Activities in the current date range, keyed by type
+   */
+  function updatePumpingReport(filteredActivities) {
+    const pumpings = filteredActivities.pumping;
+    const color = Heatmap.ACTIVITY_COLORS.pumping;
+    const summary = Analytics.summarizePumping(pumpings);
+
+    if (summary.overall.measured === 0) {
+      elements.pumpingContent.innerHTML = '<div class="prediction-empty">No pumping amounts in this date range</div>';
+      return;
+    }
+
+    // The slot with the highest average output, among slots with amounts recorded
+    const best = summary.slots
+      .filter(slot => slot.measured > 0)
+      .reduce((top, slot) => (!top || slot.avgOunces > top.avgOunces ? slot : top), null);
+
+    const rowsHtml = summary.slots
+      .filter(slot => slot.sessions > 0)
+      .map(slot => `
+        <tr${slot === best ? ' class="pumping-best"' : ''}>
+          <td>${slot.name}</td>
+          <td>${slot.measured} / ${slot.sessions}</td>
+          <td>${slot.measured > 0 ? formatAmount(slot.avgOunces) : 'N/A'}</td>
+          <td>${slot.measured > 0 ? formatAmountRate(slot.ouncesPerMinute) : 'N/A'}</td>
+        </tr>
+      `).join('');
+
+    const sideOunces = summary.leftOunces + summary.rightOunces;
+    const sideHtml = sideOunces > 0 ? `
+        <div class="stat-item">
+          <span class="stat-label">Left / right output</span>
+          <span class="stat-value">${Math.round(summary.leftOunces / sideOunces * 100)}% / ${Math.round(summary.rightOunces / sideOunces * 100)}%</span>
+        </div>` : '';
+
+    const days = Analytics.getDailyTotals({ pumping: pumpings });
+    const values = days.map(day => day.pumpOunces);
+
+    elements.pumpingContent.innerHTML = `
+      <div class="stat-card interval-card" style="border-left-color: ${color};">
+        <div class="stat-card-header">
+          <div class="stat-color" style="background-color: ${color};"></div>
+          <span class="stat-title">Output by Time of Day</span>
+        </div>
+        <table class="interval-table">
+          <thead>
+            <tr><th>Time of day</th><th>Measured</th><th>Avg output</th><th>Efficiency</th></tr>
+          </thead>
+          <tbody>
+            ${rowsHtml}
+            <tr class="interval-total">
+              <td>All day</td>
+              <td>${summary.overall.measured} / ${summary.overall.sessions}</td>
+              <td>${formatAmount(summary.overall.avgOunces)}</td>
+              <td>${formatAmountRate(summary.overall.ouncesPerMinute)}</td>
+            </tr>
+          </tbody>
+        </table>
+        ${sideHtml}
+      </div>
+      <div class="stat-card" style="border-left-color: ${color};">
+        <div class="stat-card-header">
+          <div class="stat-color" style="background-color: ${color};"></div>
+          <span class="stat-title">Daily Output</span>
+        </div>
+        <div class="stat-item">
+          <span class="stat-label">Most productive slot</span>
+          <span class="stat-value">${best.name}</span>
+        </div>
+        <div class="trend-chart"></div>
+      </div>
+    `;
+
+    Charts.renderTrend(days.map(day => day.date), values, Analytics.rollingAverage(values, state.trendWindow), {
+      color,
+      formatValue: formatAmount
+    }, elements.pumpingContent.querySelector('.trend-chart'));
+  }
+
+  /**
+   * Describe the rule behind a data quality issue
+   * @param {string} issue - Key from Quality.ISSUES
+   * @returns {string} - e.g. "Nursing over 2h"
+   */
+  function describeQualityRule(issue) {
+    const limits = Object.entries(Quality.DURATION_LIMITS);
+    switch (issue) {
+      case Quality.ISSUES.tooShort:
+        return limits.map(([type, limit]) => `${Heatmap.ACTIVITY_NAMES[type]} under ${formatDuration(limit.min)}`).join(', ');
+      case Quality.ISSUES.tooLong:
+        return limits.map(([type, limit]) => `${Heatmap.ACTIVITY_NAMES[type]} over ${formatDuration(limit.max)}`).join(', ');
+      case Quality.ISSUES.overlappingSleep:
+        return 'Starts before an earlier sleep of the same baby ended';
+      case Quality.ISSUES.nursingDuringSleep:
+        return `Starts more than ${Quality.SLEEP_EDGE_MINUTES} min into a sleep and before its last ${Quality.SLEEP_EDGE_MINUTES} min`;
+      default:
+        return 'Starts after the current time';
+    }
+  }
+
+  /**
+   * Show the records the data quality check flagged across all loaded data, and whether they are left out
+   */
+  function updateQualityReport() {
+    const { flagged, counts } = state.quality;
+
+    if (flagged.size === 0) {
+      elements.qualityContent.innerHTML = '<div class="prediction-empty">No implausible records found</div>';
+      return;
+    }
+
+    const issueRows = Object.keys(Quality.ISSUES)
+      .filter(issue => counts[issue] > 0)
+      .map(issue => `
+        <tr>
+          <td>${Quality.ISSUE_LABELS[issue]}</td>
+          <td>${counts[issue]}</td>
+          <td>${describeQualityRule(issue)}</td>
+        </tr>
+      `).join('');
+
+    const recordCount = `${flagged.size} ${flagged.size === 1 ? 'record' : 'records'}`;
+    const statusHtml = state.settings.excludeFlagged
+      ? `<p class="data-table-help"><strong>${recordCount} excluded</strong> from the heatmap, statistics and data table.</p>`
+      : `<p class="data-table-help">${recordCount} flagged and still included. Turn on "Leave out flagged records" in Settings to exclude them.</p>`;
+
+    // Most recent first, since those are the ones still worth fixing
+    const records = Array.from(flagged.keys())
+      .sort((a, b) => (b.start || b.time) - (a.start || a.time))
+      .slice(0, QUALITY_DISPLAY_LIMIT);
+    const hiddenCount = flagged.size - records.length;
+    // Excluded records are left out of the data table too, so its Flag column can't show them
+    const moreHtml = state.settings.excludeFlagged
+      ? `<p class="import-report-more">and ${hiddenCount} more. Turn off "Leave out flagged records" in Settings to list them in the data table's Flag column.</p>`
+      : `<p class="import-report-more">and ${hiddenCount} more, marked in the data table's Flag column for the selected dates.</p>`;
+
+    elements.qualityContent.innerHTML = `
+      ${statusHtml}
+      <table class="interval-table">
+        <thead><tr><th>Issue</th><th>Records</th><th>Rule</th></tr></thead>
+        <tbody>${issueRows}</tbody>
+      </table>
+      <div class="drilldown-content">
+        <table class="drilldown-table">
+          <thead>
+            <tr><th>Date</th><th>Activity</th><th>Time</th><th>Issue</th></tr>
+          </thead>
+          <tbody>
+            ${records.map((activity, index) => {
+              const layer = Heatmap.getActivityLayer(activity);
+              return `
+                <tr class="drilldown-row" data-index="${index}" tabindex="0" title="Edit this record">
+                  <td>${formatDate(activity.start || activity.time)}</td>
+                  <td><span class="drilldown-dot" style="background-color: ${Heatmap.ACTIVITY_COLORS[layer]};"></span>${Heatmap.ACTIVITY_NAMES[layer]}</td>
+                  <td>${describeActivity(activity)}</td>
+                  <td>${flagged.get(activity).map(issue => Quality.ISSUE_LABELS[issue]).join(', ')}</td>
+                </tr>
+              `;
+            }).join('')}
+          </tbody>
+        </table>
+      </div>
+      ${hiddenCount > 0 ? moreHtml : ''}
+    `;
+
+    const openRecord = activity => {
+      showActivityEditor(activity);
+      elements.activityEditor.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    };
+    elements.qualityContent.querySelectorAll('.drilldown-row').forEach(row => {
+      const activity = records[Number(row.dataset.index)];
+      row.addEventListener('click', () => openRecord(activity));
+      row.addEventListener('keydown', event => {
+        if (event.key === 'Enter') openRecord(activity);
+      });
+    });
+  }
+
+  /**
+   * Flatten activities into raw data table rows, keeping visible layers and notes that match the search
+   * @param {Object} filteredActivities - Activities in the current date range, keyed by type
+   * @returns {Array} - Rows of { source, type, color, time, end, duration, amount, side, status, flag, note, activity }
+   */
+  function getDataTableRows(filteredActivities) {
+    const layerVisibility = getLayerVisibility();
+    const search = state.dataTable.search.trim().toLowerCase();
+    const rows = [];
+
+    for (const type in filteredActivities) {
+      for (const activity of filteredActivities[type]) {
+        const layer = Heatmap.getActivityLayer(activity);
+        if (!Heatmap.getDrawnLayers(activity).some(drawn => layerVisibility[drawn])) continue;
+        if (search && !activity.note.toLowerCase().includes(search)) continue;
+
+        const start = (activity.start || activity.time).getTime();
+        const amount = getActivityAmount(activity);
+        rows.push({
+          source: activity.manual ? 'Manual' : '',
+          type: Heatmap.ACTIVITY_NAMES[layer],
+          color: Heatmap.ACTIVITY_COLORS[layer],
+          time: start,
+          end: activity.start ? start + activity.durationMinutes * 60000 : null,
+          duration: activity.start ? activity.durationMinutes : null,
+          amount: amount > 0 ? amount : null,
+          side: activity.startSide || '',
+          status: activity.status || '',
+          flag: (state.quality.flagged.get(activity) || []).map(issue => Quality.ISSUE_LABELS[issue]).join(', '),
+          note: activity.note,
+          activity
+        });
+      }
+    }
+
+    return rows;
+  }
+
+  /**
+   * Show every visible activity in the date range in the raw data table
+   * @param {Object} filteredActivities - Activities in the current date range, keyed by type
+   */
+  function updateDataTable(filteredActivities) {
+    const { sortKey, sortDirection, search } = state.dataTable;
+    const rows = DataTable.sortRows(getDataTableRows(filteredActivities), sortKey, sortDirection);
+
+    elements.dataTableCount.textContent = `${rows.length.toLocaleString()} ${rows.length === 1 ? 'row' : 'rows'}`;
+
+    if (rows.length === 0) {
+      elements.dataTableContent.innerHTML = search
+        ? '<div class="prediction-empty">No notes match this search</div>'
+        : '<div class="prediction-empty">No visible activities in this date range</div>';
+      return;
+    }
+
+    DataTable.render(elements.dataTableContent, {
+      columns: DATA_TABLE_COLUMNS,
+      rows,
+      sortKey,
+      sortDirection,
+      onSort: handleDataTableSort,
+      onRowClick: row => showActivityEditor(row.activity)
+    });
+  }
+
+  /**
+   * Sort the raw data table by a column, flipping the direction when it is already sorted by it
+   * @param {string} key - Column key
+   */
+  function handleDataTableSort(key) {
+    if (state.dataTable.sortKey === key) {
+      state.dataTable.sortDirection = state.dataTable.sortDirection === 'asc' ? 'desc' : 'asc';
+    } else {
+      state.dataTable.sortKey = key;
+      // Newest and largest first is the useful default for numbers; text reads best A-Z
+      state.dataTable.sortDirection = ['source', 'type', 'side', 'status', 'flag', 'note'].includes(key) ? 'asc' : 'desc';
+    }
+    updateDataTable(getFilteredActivities());
+  }
+
+  /**
+   * Handle typing in the raw data table's note search
+   */
+  function handleDataTableSearch() {
+    state.dataTable.search = elements.dataTableSearch.value;
+    updateDataTable(getFilteredActivities());
+  }
+
+  /**
+   * Download the activities listed in the data table in the selected format
+   */
+  function handleExportData() {
+    const activities = getDataTableRows(getFilteredActivities()).map(row => row.activity);
+    if (activities.length === 0) {
+      alert('There are no activities in the table to download.');
+      return;
+    }
+
+    const filename = `baby-activities-${formatDateForInput(new Date())}`;
+    switch (elements.dataExportFormat.value) {
+      case 'json':
+        downloadFile(`${filename}.json`, DataExport.toJson(activities, state.dateFilter, state.settings.amountUnit), 'application/json');
+        break;
+      case 'ics':
+        downloadFile(`${filename}.ics`, DataExport.toIcs(activities, { describe: describeCalendarEvent }), 'text/calendar');
+        break;
+      default:
+        downloadFile(`${filename}.csv`, DataExport.toCsv(activities, state.settings.amountUnit), 'text/csv');
+    }
+  }
+
+  /**
+   * Title an activity for a calendar event
+   * @param {Object} activity - Activity object
+   * @returns {string} - e.g. "Ada: Nursing, Left first" or "Bottle 3.5 oz"
+   */
+  function describeCalendarEvent(activity) {
+    let title;
+    if (activity.type === 'sleep') {
+      title = activity.sleepKind === 'nap' ? 'Nap' : Heatmap.ACTIVITY_NAMES[Heatmap.getActivityLayer(activity)];
+    } else if (activity.type === 'diaper') {
+      title = `Diaper (${activity.status})`;
+    } else {
+      title = Heatmap.ACTIVITY_NAMES[activity.type];
+      const amount = getActivityAmount(activity);
+      if (amount > 0) title += ` ${formatAmount(amount)}`;
+      if (activity.startSide) title += `, ${activity.startSide} first`;
+    }
+    return activity.baby ? `${activity.baby}: ${title}` : title;
+  }
+
+  /**
+   * Get the milk amount of a bottle or pumping session
+   * @param {Object} activity - Activity object
+   * @returns {number|undefined} - Amount in ounces, or undefined for other types
+   */
+  function getActivityAmount(activity) {
+    return activity.type === 'bottle' ? activity.amount : activity.totalAmount;
+  }
+
+  /**
+   * Format a milk amount for the editor's number input, in the selected display unit
+   * @param {number} ounces - Amount in ounces
+   * @returns {string} - Input value, or an empty string when there is no amount
+   */
+  function formatAmountForInput(ounces) {
+    if (!(ounces > 0)) return '';
+    return String(state.settings.amountUnit === 'ml' ? Math.round(ounces * Parser.ML_PER_OZ) : Number(ounces.toFixed(2)));
+  }
+
+  /**
+   * Check whether any manual edits have been made
+   * @returns {boolean} - True if the overlay adds, changes or deletes anything
+   */
+  function hasEdits() {
+    const { added, changed, deleted } = Edits.countEdits(state.edits);
+    return added + changed + deleted > 0;
+  }
+
+  /**
+   * Rebuild state.activities from the imported rows and the manual edits, and check them for implausible records
+   * With nothing imported (after Clear All) the edits are kept but wait for the next import
+   */
+  function applyEdits() {
+    const hasImported = Object.values(state.importedActivities).some(activities => activities.length > 0);
+    state.activities = Edits.apply(state.importedActivities, hasImported ? state.edits : Edits.createOverlay());
+    state.quality = Quality.check(state.activities);
+    state.unflaggedActivities = Quality.exclude(state.activities, state.quality.flagged);
+  }
+
+  /**
+   * Open the activity editor
+   * @param {Object|null} activity - Activity to edit, or null to add a new one
+   */
+  function showActivityEditor(activity) {
+    state.editingActivity = activity;
+
+    elements.activityEditorTitle.textContent = activity ? `Edit ${Heatmap.ACTIVITY_NAMES[activity.type].toLowerCase()}` : 'Add activity';
+    elements.editorType.value = activity ? activity.type : elements.editorType.value;
+    elements.editorType.disabled = activity !== null;
+    elements.editorBaby.value = activity ? activity.baby || '' : (state.childFilter !== ALL_CHILDREN ? state.childFilter : '');
+    elements.editorBabyNames.innerHTML = getChildNames().map(name => `<option value="${escapeHtml(name)}">`).join('');
+    elements.editorStart.value = formatDateTimeForInput(activity ? activity.start || activity.time : new Date());
+    elements.editorDuration.value = activity && activity.start ? String(activity.durationMinutes) : '';
+    elements.editorAmountUnit.textContent = state.settings.amountUnit;
+    elements.editorAmount.value = activity ? formatAmountForInput(getActivityAmount(activity)) : '';
+    elements.editorSide.value = activity && activity.startSide ? activity.startSide : '';
+    elements.editorStatus.value = activity && activity.status ? activity.status : 'Wet';
+    elements.editorNote.value = activity ? activity.note : '';
+    elements.editorDeleteBtn.classList.toggle('hidden', activity === null);
+
+    updateActivityEditorFields();
+    elements.activityEditor.classList.remove('hidden');
+  }
+
+  /**
+   * Close the activity editor without saving
+   */
+  function hideActivityEditor() {
+    state.editingActivity = null;
+    elements.activityEditor.classList.add('hidden');
+  }
+
+  /**
+   * Show only the editor fields that apply to the selected activity type
+   */
+  function updateActivityEditorFields() {
+    const type = elements.editorType.value;
+    elements.activityEditorForm.querySelectorAll('[data-types]').forEach(field => {
+      field.classList.toggle('hidden', !field.dataset.types.split(' ').includes(type));
+    });
+  }
+
+  /**
+   * Build an activity from the editor fields, in the same shape the parser produces
+   * Per-side durations or amounts are dropped when the total changes, since they would no longer add up
+   * @param {Object|null} original - Activity being edited, or null for a new one
+   * @returns {Object|null} - The activity, or null if a field is invalid (after telling the user)
+   */
+  function readActivityEditor(original) {
+    const type = original ? original.type : elements.editorType.value;
+    const time = new Date(elements.editorStart.value);
+    if (!elements.editorStart.value || isNaN(time.getTime())) {
+      alert('Enter a start date and time.');
+      return null;
+    }
+
+    const activity = { ...original, type, note: elements.editorNote.value.trim() };
+    delete activity.manual;
+    delete activity.editKey;
+    if (type !== 'pumping') activity.baby = elements.editorBaby.value.trim();
+
+    if (type === 'sleep' || type === 'nursing' || type === 'pumping') {
+      const duration = parseFloat(elements.editorDuration.value);
+      if (isNaN(duration) || duration < 0) {
+        alert('Enter a duration in minutes.');
+        return null;
+      }
+      activity.start = time;
+      activity.durationMinutes = duration;
+      if (type !== 'sleep' && (!original || original.durationMinutes !== duration)) {
+        activity.leftMinutes = 0;
+        activity.rightMinutes = 0;
+      }
+    } else {
+      activity.time = time;
+    }
+
+    if (type === 'bottle' || type === 'pumping') {
+      const value = parseFloat(elements.editorAmount.value) || 0;
+      const ounces = state.settings.amountUnit === 'ml' ? value / Parser.ML_PER_OZ : value;
+      const previous = original ? getActivityAmount(original) : 0;
+      // Keep the stored value when the rounded amount shown in the editor wasn't touched
+      const unchanged = original && elements.editorAmount.value === formatAmountForInput(previous);
+      if (type === 'bottle') {
+        activity.amount = unchanged ? previous : ounces;
+      } else if (!unchanged) {
+        activity.totalAmount = ounces;
+        activity.leftAmount = 0;
+        activity.rightAmount = 0;
+      }
+    }
+
+    if (type === 'nursing') activity.startSide = elements.editorSide.value;
+    if (type === 'diaper') activity.status = elements.editorStatus.value;
+
+    return activity;
+  }
+
+  /**
+   * Save the activity in the editor as a manual edit and recalculate everything
+   * @param {Event} event - Submit event from the editor form
+   */
+  function handleActivityEditorSubmit(event) {
+    event.preventDefault();
+
+    const activity = readActivityEditor(state.editingActivity);
+    if (!activity) return;
+
+    Edits.save(state.edits, state.editingActivity, activity);
+    refreshAfterEdit();
+  }
+
+  /**
+   * Delete the activity open in the editor and recalculate everything
+   */
+  function handleActivityDelete() {
+    if (!state.editingActivity) return;
+    Edits.remove(state.edits, state.editingActivity);
+    refreshAfterEdit();
+  }
+
+  /**
+   * Rebuild the activities after a manual edit and recalculate everything that depends on them
+   */
+  function refreshAfterEdit() {
+    hideActivityEditor();
+    applyEdits();
+    classifySleeps();
+    setDateFilterBounds();
+    updateChildSelector();
+    recalculateHeatmap();
+  }
+
+  /**
+   * Show wake windows and feed intervals by time of day, with their distributions
+   * @param {Object} filteredActivities - Activities in the current date range, keyed by type
+   */
+  function updateIntervalAnalysis(filteredActivities) {
+    const wakeWindows = Analytics.getWakeWindows(filteredActivities.sleep);
+    const feedIntervals = Analytics.getFeedIntervals(filteredActivities);
+    const cards = [];
+
+    if (wakeWindows.length > 0) {
+      const summaries = Analytics.summarizeByBucket(wakeWindows);
+      const current = Analytics.getCurrentWakeWindow(filteredActivities.sleep);
+      cards.push({
+        title: 'Wake Windows',
+        color: Heatmap.ACTIVITY_COLORS.sleep,
+        intervals: wakeWindows,
+        summaries,
+        flagHtml: current ? describeCurrentWakeWindow(current, summaries) : '',
+        marker: current ? current.minutes : undefined
+      });
+    }
+
+    if (feedIntervals.length > 0) {
+      cards.push({
+        title: 'Feed Intervals',
+        color: Heatmap.ACTIVITY_COLORS.nursing,
+        intervals: feedIntervals,
+        summaries: Analytics.summarizeByBucket(feedIntervals),
+        flagHtml: '',
+        marker: undefined
+      });
+    }
+
+    if (cards.length === 0) {
+      elements.intervalsContent.innerHTML = '<div class="prediction-empty">Not enough sleep or feeding data in this date range</div>';
+      return;
+    }
+
+    elements.intervalsContent.innerHTML = cards.map(createIntervalCard).join('');
+
+    // Draw the distributions once the cards are in the page
+    elements.intervalsContent.querySelectorAll('.interval-chart').forEach((chart, index) => {
+      const card = cards[index];
+      Charts.renderHistogram(
+        card.intervals.map(interval => interval.minutes),
+        { color: card.color, marker: card.marker },
+        chart
+      );
+    });
+  }
+
+  /**
+   * Create an interval analysis card HTML
+   * @param {Object} card - { title, color, intervals, summaries, flagHtml }
+   * @returns {string} - Card HTML with an empty .interval-chart for the histogram
+   */
+  function createIntervalCard(card) {
+    const overall = Analytics.summarize(card.intervals);
+
+    const rowsHtml = card.summaries
+      .filter(summary => summary.count > 0)
+      .map(summary => `
+        <tr>
+          <td>${summary.name}</td>
+          <td>${summary.count}</td>
+          <td>${formatDuration(summary.median)}</td>
+          <td>${formatDuration(summary.min)} - ${formatDuration(summary.max)}</td>
+        </tr>
+      `).join('');
+
+    return `
+      <div class="stat-card interval-card" style="border-left-color: ${card.color};">
+        <div class="stat-card-header">
+          <div class="stat-color" style="background-color: ${card.color};"></div>
+          <span class="stat-title">${card.title}</span>
+        </div>
+        ${card.flagHtml}
+        <table class="interval-table">
+          <thead>
+            <tr><th>Time of day</th><th>Count</th><th>Median</th><th>Range</th></tr>
+          </thead>
+          <tbody>
+            ${rowsHtml}
+            <tr class="interval-total">
+              <td>All day</td>
+              <td>${overall.count}</td>
+              <td>${formatDuration(overall.median)}</td>
+              <td>${formatDuration(overall.min)} - ${formatDuration(overall.max)}</td>
+            </tr>
+          </tbody>
+        </table>
+        <div class="interval-chart"></div>
+      </div>
+    `;
+  }
+
+  /**
+   * Describe the wake window in progress compared with the typical one at this time of day
+   * @param {Object} current - Result from Analytics.getCurrentWakeWindow
+   * @param {Array} summaries - Wake window summaries by time of day
+   * @returns {string} - Flag HTML, or an empty string with no history to compare against
+   */
+  function describeCurrentWakeWindow(current, summaries) {
+    const comparison = Analytics.compareCurrentWakeWindow(current, summaries);
+    if (!comparison) return '';
+
+    const { bucket, status } = comparison;
+    // Bucket keys double as lowercase names ("morning", "evening", ...)
+    const bucketName = bucket.key;
+    const messages = {
+      typical: `within the typical ${bucketName} wake window (median ${formatDuration(bucket.median)})`,
+      long: `longer than the typical ${bucketName} wake window (median ${formatDuration(bucket.median)})`,
+      longest: `longer than any ${bucketName} wake window in this range (longest ${formatDuration(bucket.max)})`
+    };
+
+    return `
+      <div class="interval-flag interval-flag-${status}">
+        Awake for ${formatDuration(current.minutes)} so far: ${messages[status]}
+      </div>
+    `;
   }
 
   /**
    * Create a statistics card HTML
+   * @param {string} title - Card title
+   * @param {string} color - Accent color
+   * @param {Array} items - Array of { label, value }
+   * @param {string} footerHtml - Optional HTML shown below the items (e.g. an alert)
+   * @returns {string} - Card HTML
    */
-  function createStatCard(title, color, items) {
+  function createStatCard(title, color, items, footerHtml = '') {
     const itemsHtml = items.map(item => `
       <div class="stat-item">
         <span class="stat-label">${item.label}</span>
@@ -842,40 +3085,41 @@ const App = (function() {
           <span class="stat-title">${title}</span>
         </div>
         <div class="stat-items">${itemsHtml}</div>
+        ${footerHtml}
+      </div>
+    `;
+  }
+
+  /**
+   * Create the alert listing days with fewer wet diapers than the configured minimum
+   * @param {Array} lowWetDays - Days from Analytics.countDiapersByDay below the minimum, oldest first
+   * @returns {string} - Alert HTML, or an empty string when there is nothing to flag
+   */
+  function createWetDiaperAlert(lowWetDays) {
+    if (lowWetDays.length === 0) return '';
+
+    const maxListed = 5;
+    const listed = lowWetDays.slice(-maxListed).reverse();
+    const more = lowWetDays.length - listed.length;
+
+    return `
+      <div class="stat-alert">
+        <strong>${lowWetDays.length} ${lowWetDays.length === 1 ? 'day' : 'days'} with fewer than ${state.settings.minWetDiapers} wet diapers</strong>
+        <ul>
+          ${listed.map(day => `<li>${formatDate(day.date)}: ${day.wet} wet</li>`).join('')}
+        </ul>
+        ${more > 0 ? `<span>and ${more} earlier</span>` : ''}
       </div>
     `;
   }
 
   /**
    * Calculate sleep statistics
-   * Separates naps (daytime: starts after 8:00 and ends before 19:30) from nighttime sleep
+   * Separates naps from nighttime sleep as classified by the sleep classification setting
    */
   function calculateSleepStats(activities) {
-    // Separate naps from nighttime sleep
-    const naps = [];
-    const nightSleep = [];
-
-    for (const activity of activities) {
-      const startHour = activity.start.getHours();
-      const startMinute = activity.start.getMinutes();
-      const startMinutes = startHour * 60 + startMinute; // Minutes since midnight
-
-      // Calculate end time
-      const endDate = new Date(activity.start.getTime() + activity.durationMinutes * 60000);
-      const endHour = endDate.getHours();
-      const endMinute = endDate.getMinutes();
-      const endMinutes = endHour * 60 + endMinute; // Minutes since midnight
-
-      // Nap: starts after 8:00 (480 min) AND ends before 19:30 (1170 min)
-      // Also must not span midnight (end is on same day or later day but still before 19:30)
-      const isNap = startMinutes >= 480 && endMinutes < 1170 && endMinutes > startMinutes;
-
-      if (isNap) {
-        naps.push(activity);
-      } else {
-        nightSleep.push(activity);
-      }
-    }
+    const naps = activities.filter(activity => Analytics.isNap(activity));
+    const nightSleep = activities.filter(activity => !Analytics.isNap(activity));
 
     const napDuration = naps.reduce((sum, a) => sum + a.durationMinutes, 0);
     const nightDuration = nightSleep.reduce((sum, a) => sum + a.durationMinutes, 0);
@@ -899,7 +3143,8 @@ const App = (function() {
     return {
       totalSessions: activities.length,
       avgDuration: activities.length > 0 ? totalDuration / activities.length : 0,
-      perDay: uniqueDays > 0 ? activities.length / uniqueDays : 0
+      perDay: uniqueDays > 0 ? activities.length / uniqueDays : 0,
+      sides: Analytics.summarizeSides(activities)
     };
   }
 
@@ -937,11 +3182,21 @@ const App = (function() {
    * Calculate diaper statistics
    */
   function calculateDiaperStats(activities) {
-    const uniqueDays = new Set(activities.map(a => getDateStr(a.time))).size;
+    const days = Analytics.countDiapersByDay(activities);
+    const wetCount = days.reduce((sum, day) => sum + day.wet, 0);
+    const dirtyCount = days.reduce((sum, day) => sum + day.dirty, 0);
+
+    // Today isn't over yet, so only finished days can fall short of the minimum
+    const today = getDateStr(new Date());
+    const minWet = state.settings.minWetDiapers;
+    const lowWetDays = minWet > 0 ? days.filter(day => day.day !== today && day.wet < minWet) : [];
 
     return {
       totalChanges: activities.length,
-      perDay: uniqueDays > 0 ? activities.length / uniqueDays : 0
+      perDay: days.length > 0 ? activities.length / days.length : 0,
+      wetPerDay: days.length > 0 ? wetCount / days.length : 0,
+      dirtyPerDay: days.length > 0 ? dirtyCount / days.length : 0,
+      lowWetDays
     };
   }
 
@@ -964,6 +3219,62 @@ const App = (function() {
     return mins > 0 ? `${hours}h ${mins}m` : `${hours}h`;
   }
 
+  /**
+   * Escape text for safe insertion into HTML
+   * @param {string} text - Untrusted text (e.g. a filename or note)
+   * @returns {string} - Escaped text
+   */
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Format a milk amount in the selected display unit
+   * @param {number} ounces - Amount in ounces
+   * @returns {string} - e.g. "3.5 oz" or "104 ml"
+   */
+  function formatAmount(ounces) {
+    if (state.settings.amountUnit === 'ml') {
+      return `${Math.round(ounces * Parser.ML_PER_OZ)} ml`;
+    }
+    return `${ounces.toFixed(1)} oz`;
+  }
+
+  /**
+   * Format an amount per minute in the chosen unit, with an extra decimal since rates are small
+   * @param {number} ouncesPerMinute - Rate in ounces per minute
+   * @returns {string} - e.g. "0.12 oz/min" or "3.5 ml/min"
+   */
+  function formatAmountRate(ouncesPerMinute) {
+    if (state.settings.amountUnit === 'ml') {
+      return `${(ouncesPerMinute * Parser.ML_PER_OZ).toFixed(1)} ml/min`;
+    }
+    return `${ouncesPerMinute.toFixed(2)} oz/min`;
+  }
+
+  /**
+   * Format a date and time for a datetime-local input
+   * @param {Date} date - The moment to format
+   * @returns {string} - e.g. "2026-01-03T08:38"
+   */
+  function formatDateTimeForInput(date) {
+    return `${formatDateForInput(date)}T${Heatmap.minutesToTimeString(date.getHours() * 60 + date.getMinutes())}`;
+  }
+
+  /**
+   * Format a date and time of day as a readable string
+   * @param {Date} date - The moment to format
+   * @returns {string} - e.g. "Jan 3, 2026 08:38"
+   */
+  function formatDateTime(date) {
+    return `${formatDate(date)} ${Heatmap.minutesToTimeString(date.getHours() * 60 + date.getMinutes())}`;
+  }
+
   /**
    * Format a date as a readable string
    * @param {Date} date - The date to format
@@ -0,0 +1,267 @@
+/**
+ * Charts Module
+ * Small SVG charts for the analysis sections, drawn in the same style as the heatmap
+ */
+
+const Charts = (function() {
+  'use strict';
+
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+
+  /**
+   * Create an SVG element with attributes
+   * @param {string} tag - Element name
+   * @param {Object} attributes - Attribute names and values
+   * @returns {SVGElement} - The new element
+   */
+  function createElement(tag, attributes) {
+    const element = document.createElementNS(SVG_NS, tag);
+    for (const name in attributes) {
+      element.setAttribute(name, attributes[name]);
+    }
+    return element;
+  }
+
+  /**
+   * Get the colors charts use for the current color scheme
+   * @returns {Object} - { background, grid, label }
+   */
+  function getThemeColors() {
+    const isDarkMode = window.matchMedia('(prefers-color-scheme: dark)').matches;
+    return {
+      background: isDarkMode ? '#1E1E1E' : '#FFFFFF',
+      grid: isDarkMode ? '#404040' : '#E0E0E0',
+      label: isDarkMode ? '#A0A0A0' : '#757575'
+    };
+  }
+
+  /**
+   * Create the SVG and plot area shared by all charts
+   * @param {number} width - SVG width
+   * @param {number} height - SVG height
+   * @param {Object} margin - { top, right, bottom, left }
+   * @returns {Object} - { svg, plot, colors } where plot is a group translated into the margins
+   */
+  function createFrame(width, height, margin) {
+    const colors = getThemeColors();
+
+    const svg = createElement('svg', {
+      viewBox: `0 0 ${width} ${height}`,
+      preserveAspectRatio: 'xMidYMid meet'
+    });
+    svg.appendChild(createElement('rect', { width, height, fill: colors.background }));
+
+    const plot = createElement('g', { transform: `translate(${margin.left}, ${margin.top})` });
+    svg.appendChild(plot);
+
+    return { svg, plot, colors };
+  }
+
+  /**
+   * Add a text label
+   * @param {SVGElement} parent - Element to add the label to
+   * @param {string} text - Label text
+   * @param {Object} attributes - Position and alignment attributes
+   * @param {string} color - Fill color
+   */
+  function addLabel(parent, text, attributes, color) {
+    const label = createElement('text', { class: 'hour-label', fill: color, ...attributes });
+    label.textContent = text;
+    parent.appendChild(label);
+  }
+
+  /**
+   * Render a histogram of durations in minutes
+   * @param {Array} values - Durations in minutes
+   * @param {Object} options - { color, binMinutes (default 30), marker (optional minutes to highlight) }
+   * @param {HTMLElement} container - Container element for the SVG
+   * @returns {SVGElement|null} - The SVG, or null if there are no values
+   */
+  function renderHistogram(values, options, container) {
+    container.innerHTML = '';
+    if (values.length === 0) return null;
+
+    const binMinutes = options.binMinutes || 30;
+    const maxValue = Math.max(...values, options.marker || 0);
+    const binCount = Math.max(1, Math.ceil((maxValue + 1) / binMinutes));
+    const bins = Array(binCount).fill(0);
+    for (const value of values) {
+      bins[Math.min(binCount - 1, Math.floor(value / binMinutes))]++;
+    }
+    const maxCount = Math.max(...bins);
+
+    const margin = { top: 10, right: 10, bottom: 24, left: 30 };
+    const width = 400;
+    const height = 160;
+    const plotWidth = width - margin.left - margin.right;
+    const plotHeight = height - margin.top - margin.bottom;
+    const binWidth = plotWidth / binCount;
+
+    const { svg, plot, colors } = createFrame(width, height, margin);
+
+    // Count axis: baseline and the tallest bar's count
+    plot.appendChild(createElement('line', {
+      x1: 0, y1: plotHeight, x2: plotWidth, y2: plotHeight, stroke: colors.grid, class: 'hour-grid-line'
+    }));
+    addLabel(plot, String(maxCount), { x: -6, y: 4, 'text-anchor': 'end' }, colors.label);
+    addLabel(plot, '0', { x: -6, y: plotHeight + 4, 'text-anchor': 'end' }, colors.label);
+
+    bins.forEach((count, index) => {
+      if (count === 0) return;
+      const barHeight = (count / maxCount) * plotHeight;
+      plot.appendChild(createElement('rect', {
+        x: index * binWidth + 1,
+        y: plotHeight - barHeight,
+        width: Math.max(1, binWidth - 2),
+        height: barHeight,
+        fill: options.color,
+        opacity: 0.85,
+        class: 'activity-bar'
+      }));
+    });
+
+    // Hour labels along the bottom, thinned out to keep them readable
+    const totalHours = (binCount * binMinutes) / 60;
+    const hourStep = Math.max(1, Math.ceil(totalHours / 8));
+    for (let hour = 0; hour <= totalHours; hour += hourStep) {
+      addLabel(plot, `${hour}h`, {
+        x: (hour * 60 / binMinutes) * binWidth,
+        y: plotHeight + 16,
+        'text-anchor': 'middle'
+      }, colors.label);
+    }
+
+    if (options.marker !== undefined) {
+      const x = (options.marker / binMinutes) * binWidth;
+      plot.appendChild(createElement('line', {
+        x1: x, y1: 0, x2: x, y2: plotHeight, class: 'current-time-line'
+      }));
+    }
+
+    container.appendChild(svg);
+    return svg;
+  }
+
+  /**
+   * Format a short date label like "Jan 3"
+   * @param {Date} date - The day
+   * @returns {string} - Label text
+   */
+  function formatShortDate(date) {
+    const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+    return `${months[date.getMonth()]} ${date.getDate()}`;
+  }
+
+  /**
+   * Render daily values as bars with a rolling average line
+   * @param {Array} dates - One Date per day
+   * @param {Array} values - Daily values aligned with dates (null for days with nothing logged)
+   * @param {Array} averages - Rolling averages aligned with dates (null where there is none)
+   * @param {Object} options - { color, formatValue (axis label formatter, defaults to String),
+   *   maxValue (fixed top of the value axis, optional), referenceValue (value to mark with a dashed line, optional) }
+   * @param {HTMLElement} container - Container element for the SVG
+   * @returns {SVGElement|null} - The SVG, or null if there are no values
+   */
+  function renderTrend(dates, values, averages, options, container) {
+    container.innerHTML = '';
+    if (!values.some(value => value !== null)) return null;
+
+    const formatValue = options.formatValue || String;
+    const maxValue = options.maxValue || Math.max(...values.filter(value => value !== null), 0) || 1;
+
+    const margin = { top: 10, right: 10, bottom: 24, left: 44 };
+    const width = 400;
+    const height = 160;
+    const plotWidth = width - margin.left - margin.right;
+    const plotHeight = height - margin.top - margin.bottom;
+    const dayWidth = plotWidth / dates.length;
+
+    const { svg, plot, colors } = createFrame(width, height, margin);
+    const toY = value => plotHeight - (value / maxValue) * plotHeight;
+
+    // Value axis: baseline and the largest daily value
+    plot.appendChild(createElement('line', {
+      x1: 0, y1: 0, x2: plotWidth, y2: 0, stroke: colors.grid, 'stroke-opacity': 0.5, class: 'hour-grid-line'
+    }));
+    plot.appendChild(createElement('line', {
+      x1: 0, y1: plotHeight, x2: plotWidth, y2: plotHeight, stroke: colors.grid, class: 'hour-grid-line'
+    }));
+    addLabel(plot, formatValue(maxValue), { x: -6, y: 4, 'text-anchor': 'end' }, colors.label);
+    addLabel(plot, formatValue(0), { x: -6, y: plotHeight + 4, 'text-anchor': 'end' }, colors.label);
+
+    if (options.referenceValue !== undefined) {
+      plot.appendChild(createElement('line', {
+        x1: 0,
+        y1: toY(options.referenceValue),
+        x2: plotWidth,
+        y2: toY(options.referenceValue),
+        stroke: colors.label,
+        'stroke-dasharray': '4 3',
+        class: 'hour-grid-line'
+      }));
+      addLabel(plot, formatValue(options.referenceValue), {
+        x: -6, y: toY(options.referenceValue) + 4, 'text-anchor': 'end'
+      }, colors.label);
+    }
+
+    values.forEach((value, index) => {
+      if (value === null || value === 0) return;
+      plot.appendChild(createElement('rect', {
+        x: index * dayWidth + dayWidth * 0.15,
+        y: toY(value),
+        width: Math.max(1, dayWidth * 0.7),
+        height: plotHeight - toY(value),
+        fill: options.color,
+        opacity: 0.35,
+        class: 'activity-bar'
+      }));
+    });
+
+    // Rolling average, broken wherever there is no average
+    let pathData = '';
+    let drawing = false;
+    averages.forEach((average, index) => {
+      if (average === null) {
+        drawing = false;
+        return;
+      }
+      const x = index * dayWidth + dayWidth / 2;
+      pathData += `${drawing ? 'L' : 'M'}${x.toFixed(1)},${toY(average).toFixed(1)} `;
+      drawing = true;
+    });
+    plot.appendChild(createElement('path', {
+      d: pathData.trim(),
+      fill: 'none',
+      stroke: options.color,
+      'stroke-width': 2.5,
+      'stroke-linejoin': 'round'
+    }));
+
+    // Date labels: first and last day, and the middle one when there is room
+    const labels = [{ index: 0, x: 0, anchor: 'start' }];
+    if (dates.length > 1) {
+      labels.push({ index: dates.length - 1, x: plotWidth, anchor: 'end' });
+    }
+    if (dates.length >= 5) {
+      const middle = Math.floor(dates.length / 2);
+      labels.push({ index: middle, x: middle * dayWidth + dayWidth / 2, anchor: 'middle' });
+    }
+    for (const label of labels) {
+      addLabel(plot, formatShortDate(dates[label.index]), {
+        x: label.x,
+        y: plotHeight + 16,
+        'text-anchor': label.anchor
+      }, colors.label);
+    }
+
+    container.appendChild(svg);
+    return svg;
+  }
+
+  // Public API
+  return {
+    createElement,
+    renderHistogram,
+    renderTrend
+  };
+})();
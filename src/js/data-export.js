@@ -0,0 +1,284 @@
+/**
+ * Data Export Module
+ * Writes parsed activities out as a unified CSV, versioned JSON or an iCalendar file
+ *
+ * JSON schema (schemaVersion 1):
+ *   { schema: 'baby-tracker-heatmap/activities', schemaVersion: 1, exportedAt, amountUnit: 'oz' or 'ml',
+ *     range: { start, end }, activities: [record] }
+ * Each record has every field in RECORD_FIELDS; fields that don't apply to the type are null.
+ * Times are local ISO 8601 strings with the UTC offset (e.g. "2026-01-13T19:54:00-05:00"), durations in minutes.
+ * Amounts are in the display unit, and their fields are named after it (amountOz or amountMl), in the CSV too.
+ * Bump SCHEMA_VERSION when a field is renamed, removed or changes meaning; adding fields doesn't need a bump.
+ */
+
+const DataExport = (function() {
+  'use strict';
+
+  const SCHEMA = 'baby-tracker-heatmap/activities';
+  const SCHEMA_VERSION = 1;
+
+  const MS_PER_MINUTE = 60000;
+
+  // Fields of an exported record, in CSV column order
+  const RECORD_FIELDS = [
+    'type',           // 'sleep', 'nursing', 'pumping', 'bottle' or 'diaper'
+    'baby',           // Baby name (null for pumping, which belongs to the parent)
+    'start',          // Start time, or the time of an instant event
+    'end',            // End time (null for bottles and diapers)
+    'durationMinutes',
+    'sleepKind',      // 'nap' or 'night' for sleep
+    'startSide',      // 'Left' or 'Right' for nursing, '' when not recorded
+    'leftMinutes',    // Per-side durations for nursing and pumping
+    'rightMinutes',
+    'amount',         // Bottle amount, or total pumped; amount fields get the unit appended (e.g. amountMl)
+    'leftAmount',     // Per-side amounts for pumping
+    'rightAmount',
+    'status',         // Diaper status, e.g. 'Wet'
+    'note',
+    'manual'          // True when added or edited in the browser rather than imported
+  ];
+
+  // Fields holding milk amounts, named after the export's amount unit
+  const AMOUNT_FIELDS = ['amount', 'leftAmount', 'rightAmount'];
+
+  // Amount units: suffix added to amount field names, and how to convert the stored ounces
+  const AMOUNT_UNITS = {
+    oz: { suffix: 'Oz', fromOunces: ounces => ounces },
+    ml: { suffix: 'Ml', fromOunces: ounces => Math.round(ounces * Parser.ML_PER_OZ) }
+  };
+
+  // Calendar length of bottles and diapers, which are logged as a single moment
+  const INSTANT_EVENT_MINUTES = 5;
+
+  // Longest iCalendar content line in octets before it must be folded (RFC 5545)
+  const ICS_LINE_OCTETS = 75;
+
+  /**
+   * Format a date as local ISO 8601 with the UTC offset
+   * @param {Date} date - The moment to format
+   * @returns {string} - e.g. "2026-01-13T19:54:00-05:00"
+   */
+  function formatLocalIso(date) {
+    const pad = value => String(value).padStart(2, '0');
+    const offset = -date.getTimezoneOffset();
+    const sign = offset >= 0 ? '+' : '-';
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+      `T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}` +
+      `${sign}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+  }
+
+  /**
+   * Get the start and end of an activity
+   * @param {Object} activity - Activity object
+   * @returns {Object} - { start, end } Dates; end is null for instant events
+   */
+  function getSpan(activity) {
+    if (activity.start) {
+      return { start: activity.start, end: new Date(activity.start.getTime() + activity.durationMinutes * MS_PER_MINUTE) };
+    }
+    return { start: activity.time, end: null };
+  }
+
+  /**
+   * Get the name a field is written under
+   * @param {string} field - Field from RECORD_FIELDS
+   * @param {string} amountUnit - 'oz' or 'ml'
+   * @returns {string} - e.g. 'amountMl' for 'amount', other fields unchanged
+   */
+  function getFieldName(field, amountUnit) {
+    return AMOUNT_FIELDS.includes(field) ? field + AMOUNT_UNITS[amountUnit].suffix : field;
+  }
+
+  /**
+   * Convert an activity to an export record
+   * @param {Object} activity - Activity object
+   * @param {string} amountUnit - 'oz' or 'ml'
+   * @returns {Object} - Record with every field in RECORD_FIELDS, amount fields named after the unit
+   */
+  function toRecord(activity, amountUnit) {
+    const { start, end } = getSpan(activity);
+    const valueOrNull = value => value === undefined ? null : value;
+    const amountOrNull = ounces => ounces === undefined ? null : AMOUNT_UNITS[amountUnit].fromOunces(ounces);
+
+    const record = {
+      type: activity.type,
+      baby: valueOrNull(activity.baby),
+      start: formatLocalIso(start),
+      end: end ? formatLocalIso(end) : null,
+      durationMinutes: valueOrNull(activity.durationMinutes),
+      sleepKind: valueOrNull(activity.sleepKind),
+      startSide: valueOrNull(activity.startSide),
+      leftMinutes: valueOrNull(activity.leftMinutes),
+      rightMinutes: valueOrNull(activity.rightMinutes),
+      amount: amountOrNull(activity.type === 'bottle' ? activity.amount : activity.totalAmount),
+      leftAmount: amountOrNull(activity.leftAmount),
+      rightAmount: amountOrNull(activity.rightAmount),
+      status: valueOrNull(activity.status),
+      note: activity.note || '',
+      manual: Boolean(activity.manual)
+    };
+
+    const named = {};
+    for (const field of RECORD_FIELDS) {
+      named[getFieldName(field, amountUnit)] = record[field];
+    }
+    return named;
+  }
+
+  /**
+   * Sort activities by start time
+   * @param {Array} activities - Activity objects of any type
+   * @returns {Array} - New array in start order
+   */
+  function sortByStart(activities) {
+    return activities.slice().sort((a, b) => (a.start || a.time) - (b.start || b.time));
+  }
+
+  /**
+   * Write activities as one CSV with a column per record field
+   * @param {Array} activities - Activity objects of any type
+   * @param {string} amountUnit - 'oz' or 'ml' (defaults to 'oz')
+   * @returns {string} - CSV text
+   */
+  function toCsv(activities, amountUnit = 'oz') {
+    const records = sortByStart(activities).map(activity => toRecord(activity, amountUnit));
+    const columns = RECORD_FIELDS.map(field => getFieldName(field, amountUnit));
+    return Papa.unparse(records, { columns });
+  }
+
+  /**
+   * Write activities as versioned JSON (see the schema at the top of this file)
+   * @param {Array} activities - Activity objects of any type
+   * @param {Object} range - { start, end } Dates of the exported range (null for open ends)
+   * @param {string} amountUnit - 'oz' or 'ml' (defaults to 'oz')
+   * @param {Date} now - Export time (defaults to now)
+   * @returns {string} - JSON text
+   */
+  function toJson(activities, range, amountUnit = 'oz', now = new Date()) {
+    return JSON.stringify({
+      schema: SCHEMA,
+      schemaVersion: SCHEMA_VERSION,
+      exportedAt: formatLocalIso(now),
+      amountUnit,
+      range: {
+        start: range.start ? formatLocalIso(range.start) : null,
+        end: range.end ? formatLocalIso(range.end) : null
+      },
+      activities: sortByStart(activities).map(activity => toRecord(activity, amountUnit))
+    }, null, 2);
+  }
+
+  /**
+   * Format a date as an iCalendar UTC date-time
+   * @param {Date} date - The moment to format
+   * @returns {string} - e.g. "20260114T005400Z"
+   */
+  function formatIcsDate(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  /**
+   * Escape text for an iCalendar TEXT value
+   * @param {string} text - Raw text
+   * @returns {string} - Escaped text
+   */
+  function escapeIcsText(text) {
+    return String(text)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  /**
+   * Fold a content line so no line is longer than ICS_LINE_OCTETS, without splitting a character
+   * @param {string} line - Unfolded content line
+   * @returns {string} - Folded line, continuation lines starting with a space
+   */
+  function foldIcsLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let octets = 0;
+
+    for (const character of line) {
+      const size = encoder.encode(character).length;
+      // Continuation lines lose one octet to the leading space
+      const limit = parts.length === 0 ? ICS_LINE_OCTETS : ICS_LINE_OCTETS - 1;
+      if (octets + size > limit) {
+        parts.push(current);
+        current = '';
+        octets = 0;
+      }
+      current += character;
+      octets += size;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+  }
+
+  /**
+   * Get an event UID that stays the same between exports, so calendar apps update events instead of duplicating them
+   * Manual records use their edit key; imported ones their type, baby and start time
+   * @param {Object} activity - Activity object
+   * @param {Date} start - Start of the activity
+   * @param {Map} used - UIDs given so far in this export -> times used (modified in place)
+   * @returns {string} - UID value
+   */
+  function getIcsUid(activity, start, used) {
+    const id = activity.editKey || [activity.type, activity.baby || '', start.getTime()].join('|');
+    // Records logged at the same moment (e.g. a wet and a dirty diaper) share an id, so number the repeats
+    const count = (used.get(id) || 0) + 1;
+    used.set(id, count);
+    const suffix = count > 1 ? `-${count}` : '';
+    return `${encodeURIComponent(id)}${suffix}@baby-tracker-heatmap`;
+  }
+
+  /**
+   * Write activities as an iCalendar file: timed events for sleep, nursing and pumping,
+   * and short events for bottles and diapers
+   * @param {Array} activities - Activity objects of any type
+   * @param {Object} options - { describe (activity => event title), now (export time, defaults to now) }
+   * @returns {string} - iCalendar text
+   */
+  function toIcs(activities, options) {
+    const stamp = formatIcsDate(options.now || new Date());
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//Baby Tracker Heatmap//Activity Export//EN',
+      'CALSCALE:GREGORIAN'
+    ];
+
+    const usedUids = new Map();
+
+    for (const activity of sortByStart(activities)) {
+      const { start, end } = getSpan(activity);
+      const eventEnd = end || new Date(start.getTime() + INSTANT_EVENT_MINUTES * MS_PER_MINUTE);
+
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${getIcsUid(activity, start, usedUids)}`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART:${formatIcsDate(start)}`,
+        `DTEND:${formatIcsDate(eventEnd)}`,
+        `SUMMARY:${escapeIcsText(options.describe(activity))}`
+      );
+      if (activity.note) lines.push(`DESCRIPTION:${escapeIcsText(activity.note)}`);
+      lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+    }
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+  }
+
+  // Public API
+  return {
+    SCHEMA_VERSION,
+    RECORD_FIELDS,
+    toCsv,
+    toJson,
+    toIcs
+  };
+})();
@@ -0,0 +1,130 @@
+/**
+ * Data Table Module
+ * Renders rows in a scrolling table that only builds the rows in view, so tens of thousands
+ * of activities stay fast to scroll, sort and search
+ */
+
+const DataTable = (function() {
+  'use strict';
+
+  // Fixed row height in pixels; virtualization depends on every row being the same height
+  const ROW_HEIGHT = 32;
+
+  // Extra rows built above and below the viewport so fast scrolling doesn't flash empty space
+  const OVERSCAN_ROWS = 10;
+
+  // Options and scroll position of each rendered table, keyed by its container
+  const tableInfoByContainer = new WeakMap();
+
+  /**
+   * Sort rows by one column, keeping empty values last in either direction
+   * @param {Array} rows - Row objects keyed by column
+   * @param {string} key - Column key to sort by
+   * @param {string} direction - 'asc' or 'desc'
+   * @returns {Array} - New sorted array
+   */
+  function sortRows(rows, key, direction) {
+    const sign = direction === 'desc' ? -1 : 1;
+    const isEmpty = value => value === null || value === undefined || value === '';
+
+    return rows.slice().sort((a, b) => {
+      const valueA = a[key];
+      const valueB = b[key];
+      if (isEmpty(valueA) || isEmpty(valueB)) return isEmpty(valueA) - isEmpty(valueB);
+      if (typeof valueA === 'string') return sign * valueA.localeCompare(valueB);
+      return sign * (valueA - valueB);
+    });
+  }
+
+  /**
+   * Render a table, replacing the container's contents
+   * @param {HTMLElement} container - Container element for the table
+   * @param {Object} options - { columns: [{ key, label, width (CSS grid track), format (value, row) => HTML }],
+   *   rows, sortKey, sortDirection, onSort (called with a column key when a header is clicked),
+   *   onRowClick (optional, called with a row when it is clicked or Enter is pressed on it) }
+   */
+  function render(container, options) {
+    const { columns, rows, sortKey, sortDirection } = options;
+    const gridColumns = columns.map(column => column.width || '1fr').join(' ');
+
+    container.innerHTML = `
+      <div class="data-table" role="table">
+        <div class="data-table-header" role="row" style="grid-template-columns: ${gridColumns};"></div>
+        <div class="data-table-viewport">
+          <div class="data-table-spacer" style="height: ${rows.length * ROW_HEIGHT}px;">
+            <div class="data-table-rows"></div>
+          </div>
+        </div>
+      </div>
+    `;
+
+    // Labels are set as text, so they need no escaping
+    const header = container.querySelector('.data-table-header');
+    for (const column of columns) {
+      const isSorted = column.key === sortKey;
+      const button = document.createElement('button');
+      button.className = isSorted ? 'data-table-sort active' : 'data-table-sort';
+      button.textContent = column.label + (isSorted ? (sortDirection === 'desc' ? ' \u25BC' : ' \u25B2') : '');
+      button.addEventListener('click', () => options.onSort(column.key));
+      header.appendChild(button);
+    }
+
+    const viewport = container.querySelector('.data-table-viewport');
+    tableInfoByContainer.set(container, { ...options, gridColumns, viewport, firstRendered: -1 });
+    viewport.addEventListener('scroll', () => renderVisibleRows(container));
+
+    // Rows are rebuilt while scrolling, so listen on their container rather than on each row
+    if (options.onRowClick) {
+      const rowsElement = container.querySelector('.data-table-rows');
+      const openRow = target => {
+        const rowElement = target.closest('.data-table-row');
+        if (rowElement) options.onRowClick(rows[Number(rowElement.dataset.index)]);
+      };
+      rowsElement.addEventListener('click', event => openRow(event.target));
+      rowsElement.addEventListener('keydown', event => {
+        if (event.key === 'Enter') openRow(event.target);
+      });
+    }
+
+    renderVisibleRows(container);
+  }
+
+  /**
+   * Build the rows currently scrolled into view
+   * @param {HTMLElement} container - Container passed to render
+   */
+  function renderVisibleRows(container) {
+    const info = tableInfoByContainer.get(container);
+    const { viewport, rows, columns } = info;
+
+    // Before layout (e.g. a hidden section) clientHeight is 0; build one screenful anyway
+    const viewportHeight = viewport.clientHeight || 480;
+    const first = Math.max(0, Math.floor(viewport.scrollTop / ROW_HEIGHT) - OVERSCAN_ROWS);
+    const last = Math.min(rows.length, Math.ceil((viewport.scrollTop + viewportHeight) / ROW_HEIGHT) + OVERSCAN_ROWS);
+    if (first === info.firstRendered && info.lastRendered === last) return;
+    info.firstRendered = first;
+    info.lastRendered = last;
+
+    const rowClass = info.onRowClick ? 'data-table-row data-table-row-clickable' : 'data-table-row';
+    const focusable = info.onRowClick ? ' tabindex="0"' : '';
+    const html = [];
+    for (let index = first; index < last; index++) {
+      const row = rows[index];
+      html.push(`
+        <div class="${rowClass}" role="row" data-index="${index}"${focusable} style="grid-template-columns: ${info.gridColumns}; height: ${ROW_HEIGHT}px;">
+          ${columns.map(column => `<div class="data-table-cell" role="cell">${column.format(row[column.key], row)}</div>`).join('')}
+        </div>
+      `);
+    }
+
+    const rowsElement = container.querySelector('.data-table-rows');
+    rowsElement.style.transform = `translateY(${first * ROW_HEIGHT}px)`;
+    rowsElement.innerHTML = html.join('');
+  }
+
+  // Public API
+  return {
+    sortRows,
+    render
+  };
+})();
@@ -0,0 +1,119 @@
+/**
+ * Deduplication Module
+ * Merges newly parsed activities into existing ones, dropping records that were already loaded
+ * (e.g. overlapping exports, or the same file uploaded twice)
+ */
+
+const Dedupe = (function() {
+  'use strict';
+
+  // Matching modes
+  const MODES = {
+    exact: 'exact',   // Same start minute, duration and amount
+    fuzzy: 'fuzzy'    // Start times within one minute of each other, same duration and amount
+  };
+
+  const MS_PER_MINUTE = 60000;
+
+  /**
+   * Get the timestamp an activity is anchored to
+   * @param {Object} activity - Activity object (duration-based or instant)
+   * @returns {number} - Milliseconds since epoch
+   */
+  function getActivityTime(activity) {
+    return (activity.start || activity.time).getTime();
+  }
+
+  /**
+   * Build the fields that must be equal for two records to be duplicates (everything but time)
+   * @param {Object} activity - Activity object
+   * @returns {string} - Signature string
+   */
+  function getSignature(activity) {
+    const amount = activity.amount !== undefined ? activity.amount : activity.totalAmount;
+    return [
+      activity.type,
+      activity.baby || '',
+      activity.durationMinutes !== undefined ? activity.durationMinutes : '',
+      amount !== undefined ? amount : '',
+      activity.status || ''
+    ].join('|');
+  }
+
+  /**
+   * Index activities by start minute for fast lookups
+   * @param {Array} activities - Activity objects
+   * @returns {Map} - Start minute -> array of signatures seen at that minute
+   */
+  function buildMinuteIndex(activities) {
+    const index = new Map();
+    for (const activity of activities) {
+      addToIndex(index, activity);
+    }
+    return index;
+  }
+
+  /**
+   * Add an activity to a minute index
+   * @param {Map} index - Index from buildMinuteIndex
+   * @param {Object} activity - Activity object
+   */
+  function addToIndex(index, activity) {
+    const minute = Math.floor(getActivityTime(activity) / MS_PER_MINUTE);
+    if (!index.has(minute)) {
+      index.set(minute, []);
+    }
+    index.get(minute).push(getSignature(activity));
+  }
+
+  /**
+   * Check whether an activity matches one already in the index
+   * @param {Map} index - Index from buildMinuteIndex
+   * @param {Object} activity - Activity object
+   * @param {string} mode - 'exact' or 'fuzzy'
+   * @returns {boolean} - True if a matching record exists
+   */
+  function hasMatch(index, activity, mode) {
+    const minute = Math.floor(getActivityTime(activity) / MS_PER_MINUTE);
+    const signature = getSignature(activity);
+    const minutes = mode === MODES.fuzzy ? [minute - 1, minute, minute + 1] : [minute];
+
+    return minutes.some(m => {
+      const signatures = index.get(m);
+      return signatures !== undefined && signatures.includes(signature);
+    });
+  }
+
+  /**
+   * Merge incoming activities into an existing list of the same type, dropping duplicates
+   * Duplicates are detected both against the existing records and within the incoming batch
+   * @param {Array} existing - Activities already loaded (modified in place)
+   * @param {Array} incoming - Newly parsed activities
+   * @param {string} mode - 'exact' or 'fuzzy'
+   * @returns {Object} - { addedCount, duplicateCount }
+   */
+  function mergeInto(existing, incoming, mode = MODES.exact) {
+    const index = buildMinuteIndex(existing);
+    let duplicateCount = 0;
+
+    for (const activity of incoming) {
+      if (hasMatch(index, activity, mode)) {
+        duplicateCount++;
+        continue;
+      }
+      existing.push(activity);
+      addToIndex(index, activity);
+    }
+
+    return {
+      addedCount: incoming.length - duplicateCount,
+      duplicateCount
+    };
+  }
+
+  // Public API
+  return {
+    MODES,
+    mergeInto
+  };
+})();
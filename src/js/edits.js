@@ -0,0 +1,148 @@
+/**
+ * Edits Module
+ * Keeps activities added, changed or deleted in the browser as an overlay on top of the imported rows,
+ * so importing the same or a newer export again doesn't lose them
+ */
+
+const Edits = (function() {
+  'use strict';
+
+  const MS_PER_MINUTE = 60000;
+
+  // Prefix of the keys given to activities added by hand, which have no imported row to point at
+  const ADDED_KEY_PREFIX = 'added';
+
+  let addedCount = 0;
+
+  /**
+   * Create an empty overlay
+   * @returns {Object} - { added: [activities], changed: { key: activity }, deleted: { key: true } }
+   */
+  function createOverlay() {
+    return {
+      added: [],
+      changed: {},
+      deleted: {}
+    };
+  }
+
+  /**
+   * Get the key that identifies an activity across imports: its start minute and the fields Dedupe compares
+   * Dedupe drops imported rows that share all of these, so no two loaded rows have the same key
+   * @param {Object} activity - Activity object (imported or manual)
+   * @returns {string} - Key string
+   */
+  function getKey(activity) {
+    if (activity.editKey) return activity.editKey;
+    const minute = Math.floor((activity.start || activity.time).getTime() / MS_PER_MINUTE);
+    const amount = activity.amount !== undefined ? activity.amount : activity.totalAmount;
+    return [
+      activity.type,
+      activity.baby || '',
+      minute,
+      activity.durationMinutes !== undefined ? activity.durationMinutes : '',
+      amount !== undefined ? amount : '',
+      activity.status || ''
+    ].join('|');
+  }
+
+  /**
+   * Check whether a key belongs to an activity added by hand
+   * @param {string} key - Key from getKey
+   * @returns {boolean} - True for added activities
+   */
+  function isAddedKey(key) {
+    return key.startsWith(`${ADDED_KEY_PREFIX}|`);
+  }
+
+  /**
+   * Build the activities shown in the app: imported rows with the overlay applied
+   * Imported activities without edits are reused as-is, so flags set on them (e.g. sleep kinds) carry over
+   * @param {Object} imported - Imported activities keyed by type
+   * @param {Object} overlay - Overlay from createOverlay
+   * @returns {Object} - New activities object keyed by type
+   */
+  function apply(imported, overlay) {
+    const activities = {};
+
+    for (const type in imported) {
+      activities[type] = [];
+      for (const activity of imported[type]) {
+        const key = getKey(activity);
+        if (overlay.deleted[key]) continue;
+        activities[type].push(overlay.changed[key] || activity);
+      }
+    }
+
+    for (const activity of overlay.added) {
+      activities[activity.type].push(activity);
+    }
+
+    return activities;
+  }
+
+  /**
+   * Record a new or edited activity in the overlay
+   * @param {Object} overlay - Overlay from createOverlay (modified in place)
+   * @param {Object|null} original - Activity being edited, or null to add a new one
+   * @param {Object} activity - The activity's new fields
+   * @returns {Object} - The stored activity, marked as manual
+   */
+  function save(overlay, original, activity) {
+    const key = original ? getKey(original) : `${ADDED_KEY_PREFIX}|${Date.now()}|${addedCount++}`;
+    const stored = { ...activity, manual: true, editKey: key };
+
+    if (!isAddedKey(key)) {
+      overlay.changed[key] = stored;
+      return stored;
+    }
+
+    const index = overlay.added.findIndex(added => added.editKey === key);
+    if (index === -1) {
+      overlay.added.push(stored);
+    } else {
+      overlay.added[index] = stored;
+    }
+    return stored;
+  }
+
+  /**
+   * Delete an activity through the overlay
+   * Added activities are dropped; imported ones are hidden, so they stay deleted after a re-import
+   * @param {Object} overlay - Overlay from createOverlay (modified in place)
+   * @param {Object} activity - Activity to delete
+   */
+  function remove(overlay, activity) {
+    const key = getKey(activity);
+
+    if (isAddedKey(key)) {
+      overlay.added = overlay.added.filter(added => added.editKey !== key);
+      return;
+    }
+
+    delete overlay.changed[key];
+    overlay.deleted[key] = true;
+  }
+
+  /**
+   * Count the changes in an overlay
+   * @param {Object} overlay - Overlay from createOverlay
+   * @returns {Object} - { added, changed, deleted }
+   */
+  function countEdits(overlay) {
+    return {
+      added: overlay.added.length,
+      changed: Object.keys(overlay.changed).length,
+      deleted: Object.keys(overlay.deleted).length
+    };
+  }
+
+  // Public API
+  return {
+    createOverlay,
+    apply,
+    save,
+    remove,
+    countEdits
+  };
+})();
@@ -0,0 +1,149 @@
+/**
+ * Forecast Module
+ * Estimates when each activity is next likely to start, from the time since the last logged event
+ * and the distribution of past gaps between events of the same type
+ */
+
+const Forecast = (function() {
+  'use strict';
+
+  const MS_PER_MINUTE = 60000;
+
+  // Gaps longer than this are treated as missing logs rather than real intervals
+  const MAX_INTERVAL_MINUTES = 24 * 60;
+
+  // Fewer past intervals than this is not enough to forecast from
+  const MIN_SAMPLE_SIZE = 5;
+
+  // Sleep is measured from when the last sleep ended (the wake window);
+  // everything else from when the last one started, the way feeds are usually timed
+  const MEASURE_FROM_END = {
+    sleep: true
+  };
+
+  /**
+   * Get the start and end of an activity
+   * @param {Object} activity - Duration-based or instant activity
+   * @returns {Object} - { start, end } in milliseconds (equal for instant events)
+   */
+  function getSpan(activity) {
+    if (activity.start) {
+      const start = activity.start.getTime();
+      return { start, end: start + activity.durationMinutes * MS_PER_MINUTE };
+    }
+    const time = activity.time.getTime();
+    return { start: time, end: time };
+  }
+
+  /**
+   * Get a quantile of sorted values by linear interpolation
+   * @param {Array} sorted - Numbers in ascending order
+   * @param {number} q - Quantile between 0 and 1
+   * @returns {number} - The quantile value
+   */
+  function quantile(sorted, q) {
+    const position = (sorted.length - 1) * q;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+  }
+
+  /**
+   * Collect the gaps between consecutive events of one type
+   * @param {Array} spans - Spans from getSpan, sorted by start
+   * @param {boolean} fromEnd - Measure from the end of the previous event instead of its start
+   * @returns {Array} - Gaps in minutes, ascending
+   */
+  function getIntervals(spans, fromEnd) {
+    const intervals = [];
+
+    for (let i = 1; i < spans.length; i++) {
+      const anchor = fromEnd ? spans[i - 1].end : spans[i - 1].start;
+      const gap = (spans[i].start - anchor) / MS_PER_MINUTE;
+      // Overlapping records and logging gaps say nothing about the usual rhythm
+      if (gap > 0 && gap <= MAX_INTERVAL_MINUTES) {
+        intervals.push(gap);
+      }
+    }
+
+    return intervals.sort((a, b) => a - b);
+  }
+
+  /**
+   * Forecast the next start of one activity type
+   * Only past gaps at least as long as the time already elapsed are used, so the estimate
+   * moves later as time passes instead of pointing at a moment that has already gone by
+   * @param {string} type - Activity type
+   * @param {Array} activities - Activities of that type
+   * @param {Date} now - Current time
+   * @returns {Object|null} - Forecast, or null if there is no previous event
+   *   { type, lastTime, measuredFromEnd, elapsedMinutes, inProgress, stale, sampleSize, overdue, expected, earliest, latest }
+   */
+  function forecastType(type, activities, now) {
+    const nowTime = now.getTime();
+    const spans = activities
+      .map(getSpan)
+      .filter(span => span.start <= nowTime)
+      .sort((a, b) => a.start - b.start);
+
+    if (spans.length === 0) return null;
+
+    const fromEnd = MEASURE_FROM_END[type] === true;
+    const last = spans[spans.length - 1];
+    const anchor = fromEnd ? last.end : last.start;
+    const intervals = getIntervals(spans, fromEnd);
+
+    const forecast = {
+      type,
+      lastTime: new Date(anchor),
+      measuredFromEnd: fromEnd,
+      elapsedMinutes: Math.max(0, Math.round((nowTime - anchor) / MS_PER_MINUTE)),
+      inProgress: last.end > nowTime,
+      // Nothing logged for longer than any real gap, e.g. an old export: too stale to forecast from
+      stale: false,
+      sampleSize: intervals.length,
+      overdue: false,
+      expected: null,
+      earliest: null,
+      latest: null
+    };
+
+    if (forecast.inProgress || intervals.length < MIN_SAMPLE_SIZE) return forecast;
+
+    if (forecast.elapsedMinutes > MAX_INTERVAL_MINUTES) {
+      forecast.stale = true;
+      return forecast;
+    }
+
+    const remaining = intervals.filter(interval => interval >= forecast.elapsedMinutes);
+    if (remaining.length === 0) {
+      forecast.overdue = true;
+      return forecast;
+    }
+
+    const toDate = minutes => new Date(anchor + minutes * MS_PER_MINUTE);
+    forecast.expected = toDate(quantile(remaining, 0.5));
+    forecast.earliest = toDate(quantile(remaining, 0.25));
+    forecast.latest = toDate(quantile(remaining, 0.75));
+
+    return forecast;
+  }
+
+  /**
+   * Forecast the next start of every activity type
+   * @param {Object} activities - Object with arrays for each activity type
+   * @param {Date} now - Current time (defaults to now)
+   * @returns {Array} - Forecasts from forecastType, one per type with at least one event
+   */
+  function forecastAll(activities, now = new Date()) {
+    return Object.keys(activities)
+      .map(type => forecastType(type, activities[type], now))
+      .filter(forecast => forecast !== null);
+  }
+
+  // Public API
+  return {
+    MIN_SAMPLE_SIZE,
+    forecastAll
+  };
+})();
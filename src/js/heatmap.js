@@ -10,24 +10,115 @@ const Heatmap = (function() {
   // Constants
   const MINUTES_PER_DAY = 1440;
 
-  // Activity colors
+  // Activity colors (including sub-layers)
   const ACTIVITY_COLORS = {
     sleep: '#66BB6A',
+    nap: '#A5D6A7',
+    night: '#388E3C',
     nursing: '#F48FB1',
     pumping: '#CE93D8',
     bottle: '#64B5F6',
-    diaper: '#FFB74D'
+    feeding: '#7986CB',
+    diaper: '#FFB74D',
+    wet: '#FFE082',
+    dirty: '#A1887F',
+    mixed: '#FB8C00',
+    dry: '#E0E0E0'
   };
 
-  // Activity display names
+  // Activity display names (including sub-layers)
   const ACTIVITY_NAMES = {
     sleep: 'Sleep',
+    nap: 'Naps',
+    night: 'Night sleep',
     nursing: 'Nursing',
     pumping: 'Pumping',
     bottle: 'Bottle',
-    diaper: 'Diaper'
+    feeding: 'All feeds',
+    diaper: 'Diaper',
+    wet: 'Wet',
+    dirty: 'Dirty',
+    mixed: 'Mixed',
+    dry: 'Dry'
   };
 
+  // Activity types drawn as separate layers, in drawing order, and how to pick an activity's layer
+  // Activities without a recognised layer (e.g. an unusual diaper status) stay on the type's own layer
+  const SUB_LAYERS = {
+    sleep: { layers: ['nap', 'night'], layerOf: activity => activity.sleepKind },
+    diaper: { layers: ['wet', 'dirty', 'mixed', 'dry'], layerOf: activity => String(activity.status).toLowerCase() }
+  };
+
+  // Layers made of other layers; a minute counts on a day if any of them was active then
+  const COMBINED_LAYERS = {
+    feeding: ['nursing', 'bottle']
+  };
+
+  // Ways of splitting days into separate heatmaps
+  const DAY_GROUPINGS = {
+    none: 'none',         // All days in one heatmap
+    weekpart: 'weekpart', // Weekdays vs weekends
+    weekday: 'weekday'    // One heatmap per day of the week
+  };
+
+  // Day names indexed by Date.getDay()
+  const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+  /**
+   * Get the layer an activity is drawn on
+   * @param {Object} activity - Activity object
+   * @returns {string} - Sub-layer key (e.g. 'nap'), or the activity type
+   */
+  function getActivityLayer(activity) {
+    const subLayers = SUB_LAYERS[activity.type];
+    if (subLayers) {
+      const layer = subLayers.layerOf(activity);
+      if (subLayers.layers.includes(layer)) return layer;
+    }
+    return activity.type;
+  }
+
+  /**
+   * Get every layer an activity is drawn on: its own layer and any combined layer made from it
+   * @param {Object} activity - Activity object
+   * @returns {Array} - Layer keys, own layer first (e.g. ['bottle', 'feeding'])
+   */
+  function getDrawnLayers(activity) {
+    const layer = getActivityLayer(activity);
+    const combined = Object.keys(COMBINED_LAYERS).filter(key => COMBINED_LAYERS[key].includes(layer));
+    return [layer, ...combined];
+  }
+
+  /**
+   * Get the activity type a layer belongs to
+   * @param {string} layer - Layer key
+   * @returns {string} - Activity type ('sleep' for 'nap'); a type's own layer maps to itself
+   */
+  function getLayerType(layer) {
+    for (const type in SUB_LAYERS) {
+      if (SUB_LAYERS[type].layers.includes(layer)) return type;
+    }
+    return layer;
+  }
+
+  /**
+   * Split one type's activities into its layers
+   * @param {Array} activities - Activities of one type
+   * @returns {Array} - Array of [layer, activities] in drawing order, skipping empty layers
+   */
+  function splitByLayer(activities) {
+    const byLayer = new Map();
+    for (const activity of activities) {
+      const layer = getActivityLayer(activity);
+      if (!byLayer.has(layer)) byLayer.set(layer, []);
+      byLayer.get(layer).push(activity);
+    }
+
+    const type = activities[0].type;
+    const order = [type, ...(SUB_LAYERS[type] ? SUB_LAYERS[type].layers : [])];
+    return order.filter(layer => byLayer.has(layer)).map(layer => [layer, byLayer.get(layer)]);
+  }
+
   /**
    * Convert a Date to minutes since midnight
    * @param {Date} date - The date object
@@ -135,22 +226,72 @@ const Heatmap = (function() {
     };
   }
 
+  /**
+   * Merge the minute data of several layers into one
+   * @param {Array} parts - Results of calculateDurationHeatmap or calculateInstantHeatmap
+   * @returns {Object} - { minuteDays: Array of Sets, uniqueDays: Set, totalCount: number }
+   */
+  function combineHeatmaps(parts) {
+    const minuteDays = Array(MINUTES_PER_DAY).fill(null).map((_, minute) =>
+      new Set(parts.flatMap(part => Array.from(part.minuteDays[minute])))
+    );
+    const uniqueDays = new Set(parts.flatMap(part => Array.from(part.uniqueDays)));
+
+    return {
+      minuteDays,
+      uniqueDays,
+      totalCount: parts.reduce((sum, part) => sum + part.totalCount, 0)
+    };
+  }
+
+  /**
+   * Weight each day for the probability calculation
+   * Without a half-life every day counts once; with one, a day's weight halves every halfLifeDays
+   * before the reference day, so recent changes in routine show up sooner
+   * @param {Set} dayStrings - Set of YYYY-MM-DD strings
+   * @param {Object} options - { halfLifeDays, referenceDay }
+   * @returns {Map} - Date string -> weight (1 for the reference day)
+   */
+  function getDayWeights(dayStrings, options) {
+    const halfLifeDays = options.halfLifeDays || 0;
+    const weights = new Map();
+
+    // Compare as UTC midnights so DST changes don't produce fractional ages
+    const referenceDay = options.referenceDay || Array.from(dayStrings).sort().pop();
+    const referenceTime = Date.parse(referenceDay);
+
+    for (const day of dayStrings) {
+      if (halfLifeDays > 0) {
+        const ageDays = Math.max(0, Math.round((referenceTime - Date.parse(day)) / 86400000));
+        weights.set(day, Math.pow(0.5, ageDays / halfLifeDays));
+      } else {
+        weights.set(day, 1);
+      }
+    }
+
+    return weights;
+  }
+
   /**
    * Calculate complete heatmap data for all activities
    * @param {Object} allActivities - Object with arrays for each activity type
+   * @param {Object} options - Optional { halfLifeDays, referenceDay }; halfLifeDays of 0 counts every day equally,
+   *   referenceDay (YYYY-MM-DD) is the day with full weight and defaults to the latest day with data
    * @returns {Object} - Heatmap data with intensities and metadata
    */
-  function calculateAllHeatmaps(allActivities) {
+  function calculateAllHeatmaps(allActivities, options = {}) {
     const heatmaps = {};
     const allUniqueDays = new Set();
 
-    // Duration-based activities
+    // Duration-based activities, one heatmap per layer
     const durationTypes = ['sleep', 'nursing', 'pumping'];
     for (const type of durationTypes) {
       if (allActivities[type] && allActivities[type].length > 0) {
-        const result = calculateDurationHeatmap(allActivities[type]);
-        heatmaps[type] = result;
-        result.uniqueDays.forEach(d => allUniqueDays.add(d));
+        for (const [layer, activities] of splitByLayer(allActivities[type])) {
+          const result = calculateDurationHeatmap(activities);
+          heatmaps[layer] = result;
+          result.uniqueDays.forEach(d => allUniqueDays.add(d));
+        }
       }
     }
 
@@ -158,21 +299,46 @@ const Heatmap = (function() {
     const instantTypes = ['bottle', 'diaper'];
     for (const type of instantTypes) {
       if (allActivities[type] && allActivities[type].length > 0) {
-        const result = calculateInstantHeatmap(allActivities[type]);
-        heatmaps[type] = result;
-        result.uniqueDays.forEach(d => allUniqueDays.add(d));
+        for (const [layer, activities] of splitByLayer(allActivities[type])) {
+          const result = calculateInstantHeatmap(activities);
+          heatmaps[layer] = result;
+          result.uniqueDays.forEach(d => allUniqueDays.add(d));
+        }
+      }
+    }
+
+    // Combined layers, from the layers already calculated
+    for (const layer in COMBINED_LAYERS) {
+      const parts = COMBINED_LAYERS[layer].filter(part => heatmaps[part]);
+      if (parts.length > 0) {
+        heatmaps[layer] = combineHeatmaps(parts.map(part => heatmaps[part]));
       }
     }
 
-    // Calculate intensities (0-1 scale) based on total unique days
+    // Calculate intensities (0-1 scale) as the weighted share of days with activity at each minute
     const totalDays = allUniqueDays.size;
+    const dayWeights = getDayWeights(allUniqueDays, options);
+
+    let totalWeight = 0;
+    let totalSquaredWeight = 0;
+    dayWeights.forEach(weight => {
+      totalWeight += weight;
+      totalSquaredWeight += weight * weight;
+    });
+
+    // Kish effective sample size: equals totalDays when all weights are equal
+    const effectiveDays = totalSquaredWeight > 0 ? (totalWeight * totalWeight) / totalSquaredWeight : 0;
 
     for (const type in heatmaps) {
       const data = heatmaps[type];
       // Convert minuteDays (array of Sets) to raw intensities
-      const rawIntensities = data.minuteDays.map(days =>
-        totalDays > 0 ? days.size / totalDays : 0
-      );
+      const rawIntensities = data.minuteDays.map(days => {
+        let weight = 0;
+        days.forEach(d => {
+          weight += dayWeights.get(d);
+        });
+        return totalWeight > 0 ? weight / totalWeight : 0;
+      });
 
       // Find the maximum intensity for this activity type
       const maxIntensity = Math.max(...rawIntensities);
@@ -193,11 +359,118 @@ const Heatmap = (function() {
     return {
       heatmaps,
       totalDays,
+      effectiveDays,
+      halfLifeDays: options.halfLifeDays || 0,
       allUniqueDays,
       dateRange: getDateRange(allUniqueDays)
     };
   }
 
+  /**
+   * Compare two heatmaps minute by minute, for a difference chart
+   * Each layer's intensities show where it became more likely than in the baseline, and its decreases
+   * where it became less likely, both scaled so the largest change in either direction is 1
+   * @param {Object} heatmapData - Result from calculateAllHeatmaps for the period of interest
+   * @param {Object} baselineData - Result from calculateAllHeatmaps for the period to compare against
+   * @returns {Object} - Heatmap data like calculateAllHeatmaps (sample size from heatmapData), where each layer
+   *   also has differences (raw probability changes, -1 to 1), decreases and maxDifference
+   */
+  function calculateDifference(heatmapData, baselineData) {
+    const heatmaps = {};
+    const layers = new Set([...Object.keys(heatmapData.heatmaps), ...Object.keys(baselineData.heatmaps)]);
+    const noData = Array(MINUTES_PER_DAY).fill(0);
+
+    for (const layer of layers) {
+      const current = heatmapData.heatmaps[layer] ? heatmapData.heatmaps[layer].rawIntensities : noData;
+      const baseline = baselineData.heatmaps[layer] ? baselineData.heatmaps[layer].rawIntensities : noData;
+      const differences = current.map((intensity, minute) => intensity - baseline[minute]);
+      const maxDifference = Math.max(...differences.map(Math.abs));
+
+      heatmaps[layer] = {
+        differences,
+        maxDifference,
+        intensities: differences.map(difference => (maxDifference > 0 && difference > 0 ? difference / maxDifference : 0)),
+        decreases: differences.map(difference => (maxDifference > 0 && difference < 0 ? -difference / maxDifference : 0)),
+        color: ACTIVITY_COLORS[layer],
+        name: ACTIVITY_NAMES[layer]
+      };
+    }
+
+    return { ...heatmapData, heatmaps };
+  }
+
+  /**
+   * Get the groups a grouping mode splits days into, in display order (Monday first)
+   * @param {string} grouping - One of DAY_GROUPINGS
+   * @returns {Array} - Array of { key, name }
+   */
+  function getDayGroups(grouping) {
+    if (grouping === DAY_GROUPINGS.weekday) {
+      return [1, 2, 3, 4, 5, 6, 0].map(day => ({ key: String(day), name: DAY_NAMES[day] }));
+    }
+    if (grouping === DAY_GROUPINGS.weekpart) {
+      return [
+        { key: 'weekday', name: 'Weekdays' },
+        { key: 'weekend', name: 'Weekends' }
+      ];
+    }
+    return [{ key: 'all', name: 'All days' }];
+  }
+
+  /**
+   * Get the group key a date falls into
+   * @param {Date} date - The date
+   * @param {string} grouping - One of DAY_GROUPINGS
+   * @returns {string} - Group key matching getDayGroups
+   */
+  function getDayGroupKey(date, grouping) {
+    const day = date.getDay();
+    if (grouping === DAY_GROUPINGS.weekday) return String(day);
+    if (grouping === DAY_GROUPINGS.weekpart) return day === 0 || day === 6 ? 'weekend' : 'weekday';
+    return 'all';
+  }
+
+  /**
+   * Calculate a separate heatmap for each day group
+   * Activities are assigned to the day they start on, so overnight sleep counts towards its start day
+   * With recency weighting, every group is weighted from the latest day overall, not its own latest day
+   * @param {Object} allActivities - Object with arrays for each activity type
+   * @param {string} grouping - One of DAY_GROUPINGS
+   * @param {Object} options - Optional { halfLifeDays }, as for calculateAllHeatmaps
+   * @returns {Array} - Array of { key, name, heatmapData }
+   */
+  function calculateGroupedHeatmaps(allActivities, grouping, options = {}) {
+    const groups = getDayGroups(grouping);
+    const groupedActivities = {};
+    let referenceDay = '';
+
+    for (const group of groups) {
+      groupedActivities[group.key] = {};
+      for (const type in allActivities) {
+        groupedActivities[group.key][type] = [];
+      }
+    }
+
+    for (const type in allActivities) {
+      for (const activity of allActivities[type]) {
+        const date = activity.start || activity.time;
+        const key = getDayGroupKey(date, grouping);
+        groupedActivities[key][type].push(activity);
+
+        const dateStr = getDateString(date);
+        if (dateStr > referenceDay) referenceDay = dateStr;
+      }
+    }
+
+    const groupOptions = { ...options, referenceDay: referenceDay || undefined };
+
+    return groups.map(group => ({
+      key: group.key,
+      name: group.name,
+      heatmapData: calculateAllHeatmaps(groupedActivities[group.key], groupOptions)
+    }));
+  }
+
   /**
    * Get the date range from a set of date strings
    * @param {Set} dateStrings - Set of YYYY-MM-DD strings
@@ -275,10 +548,69 @@ const Heatmap = (function() {
     return runs;
   }
 
+  /**
+   * Draw intensity runs as bars, splitting runs that cross an hour into one bar per row
+   * @param {SVGElement} chartGroup - Group to draw into
+   * @param {Array} runs - Runs from findIntensityRuns
+   * @param {string} fill - Bar fill (a color or a pattern URL)
+   * @param {number} rowHeight - Height of one hour row
+   * @param {number} pixelsPerMinute - Horizontal scale
+   */
+  function drawRuns(chartGroup, runs, fill, rowHeight, pixelsPerMinute) {
+    for (const run of runs) {
+      const startHour = Math.floor(run.startMinute / 60);
+      const startMinuteInHour = run.startMinute % 60;
+      const endHour = Math.floor((run.endMinute - 1) / 60);
+      const endMinuteInHour = (run.endMinute - 1) % 60 + 1;
+
+      for (let hour = startHour; hour <= endHour; hour++) {
+        const segmentStart = hour === startHour ? startMinuteInHour : 0;
+        const segmentEnd = hour === endHour ? endMinuteInHour : 60;
+
+        const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+        rect.setAttribute('x', segmentStart * pixelsPerMinute);
+        rect.setAttribute('y', hour * rowHeight + 2);
+        rect.setAttribute('width', Math.max(1, (segmentEnd - segmentStart) * pixelsPerMinute));
+        rect.setAttribute('height', rowHeight - 4);
+        rect.setAttribute('fill', fill);
+        rect.setAttribute('opacity', run.intensity * 0.85);
+        rect.setAttribute('class', 'activity-bar');
+        chartGroup.appendChild(rect);
+      }
+    }
+  }
+
+  /**
+   * Add a diagonal stripe pattern in a layer's color to an SVG
+   * @param {SVGElement} svg - SVG to add the pattern to
+   * @param {string} id - Pattern id
+   * @param {string} color - Stripe color
+   * @returns {string} - The pattern id
+   */
+  function addStripePattern(svg, id, color) {
+    const defs = document.createElementNS('http://www.w3.org/2000/svg', 'defs');
+    const pattern = document.createElementNS('http://www.w3.org/2000/svg', 'pattern');
+    pattern.setAttribute('id', id);
+    pattern.setAttribute('patternUnits', 'userSpaceOnUse');
+    pattern.setAttribute('width', 6);
+    pattern.setAttribute('height', 6);
+    pattern.setAttribute('patternTransform', 'rotate(45)');
+
+    const stripe = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+    stripe.setAttribute('width', 3);
+    stripe.setAttribute('height', 6);
+    stripe.setAttribute('fill', color);
+    pattern.appendChild(stripe);
+
+    defs.appendChild(pattern);
+    svg.appendChild(defs);
+    return id;
+  }
+
   /**
    * Render the heatmap as an SVG
-   * @param {Object} heatmapData - Result from calculateAllHeatmaps
-   * @param {Object} visibility - Object mapping activity types to boolean visibility
+   * @param {Object} heatmapData - Result from calculateAllHeatmaps or calculateDifference
+   * @param {Object} visibility - Object mapping layers (activity types and sub-layers) to boolean visibility
    * @param {HTMLElement} container - Container element for the SVG
    */
   function render(heatmapData, visibility, container) {
@@ -347,66 +679,16 @@ const Heatmap = (function() {
     bottomLine.setAttribute('stroke', isDarkMode ? '#404040' : '#E0E0E0');
     chartGroup.appendChild(bottomLine);
 
-    // Draw activity bars for each visible type
+    // Draw activity bars for each visible type; difference charts stripe the decreases
     const visibleTypes = Object.keys(heatmaps).filter(type => visibility[type]);
 
     for (const type of visibleTypes) {
       const data = heatmaps[type];
-      const runs = findIntensityRuns(data.intensities);
-
-      for (const run of runs) {
-        // Calculate position based on minutes
-        const startHour = Math.floor(run.startMinute / 60);
-        const startMinuteInHour = run.startMinute % 60;
-        const endHour = Math.floor((run.endMinute - 1) / 60);
-        const endMinuteInHour = (run.endMinute - 1) % 60 + 1;
-
-        if (startHour === endHour) {
-          // Run is within a single hour
-          const y = startHour * rowHeight + 2;
-          const x = startMinuteInHour * pixelsPerMinute;
-          const rectWidth = (endMinuteInHour - startMinuteInHour) * pixelsPerMinute;
-
-          const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-          rect.setAttribute('x', x);
-          rect.setAttribute('y', y);
-          rect.setAttribute('width', Math.max(1, rectWidth));
-          rect.setAttribute('height', rowHeight - 4);
-          rect.setAttribute('fill', data.color);
-          rect.setAttribute('opacity', run.intensity * 0.85);
-          rect.setAttribute('class', 'activity-bar');
-          chartGroup.appendChild(rect);
-        } else {
-          // Run spans multiple hours - draw segment for each hour
-          for (let hour = startHour; hour <= endHour; hour++) {
-            const y = hour * rowHeight + 2;
-            let segmentStart, segmentEnd;
-
-            if (hour === startHour) {
-              segmentStart = startMinuteInHour;
-              segmentEnd = 60;
-            } else if (hour === endHour) {
-              segmentStart = 0;
-              segmentEnd = endMinuteInHour;
-            } else {
-              segmentStart = 0;
-              segmentEnd = 60;
-            }
-
-            const x = segmentStart * pixelsPerMinute;
-            const rectWidth = (segmentEnd - segmentStart) * pixelsPerMinute;
-
-            const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-            rect.setAttribute('x', x);
-            rect.setAttribute('y', y);
-            rect.setAttribute('width', Math.max(1, rectWidth));
-            rect.setAttribute('height', rowHeight - 4);
-            rect.setAttribute('fill', data.color);
-            rect.setAttribute('opacity', run.intensity * 0.85);
-            rect.setAttribute('class', 'activity-bar');
-            chartGroup.appendChild(rect);
-          }
-        }
+      drawRuns(chartGroup, findIntensityRuns(data.intensities), data.color, rowHeight, pixelsPerMinute);
+
+      if (data.decreases) {
+        const patternId = addStripePattern(svg, `heatmap-decrease-${type}`, data.color);
+        drawRuns(chartGroup, findIntensityRuns(data.decreases), `url(#${patternId})`, rowHeight, pixelsPerMinute);
       }
     }
 
@@ -531,7 +813,15 @@ const Heatmap = (function() {
     MINUTES_PER_DAY,
     ACTIVITY_COLORS,
     ACTIVITY_NAMES,
+    DAY_GROUPINGS,
+    getActivityLayer,
+    getDrawnLayers,
+    getLayerType,
     calculateAllHeatmaps,
+    calculateGroupedHeatmaps,
+    calculateDifference,
+    getDayGroups,
+    getDayGroupKey,
     minutesToTimeString,
     getCurrentMinutes,
     render,
@@ -0,0 +1,241 @@
+/**
+ * Image Export Module
+ * Turns rendered charts into a standalone SVG with a title, details and legend, and rasterizes it to PNG
+ * Everything happens in the browser: the SVG is drawn onto a canvas from a data URL, with no network calls
+ */
+
+const ImageExport = (function() {
+  'use strict';
+
+  const FONT_FAMILY = '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif';
+
+  // Layout of the header above the charts
+  const PADDING = 20;
+  const TITLE_HEIGHT = 28;
+  const DETAIL_LINE_HEIGHT = 18;
+  const LEGEND_HEIGHT = 28;
+  const PANEL_TITLE_HEIGHT = 24;
+
+  // The stylesheet does not travel with an exported SVG, so chart classes are inlined as attributes
+  const INLINE_STYLES = {
+    'hour-label': { 'font-size': '11', 'font-family': FONT_FAMILY },
+    'current-time-line': { stroke: '#E53935', 'stroke-width': '2' },
+    'current-time-label': { fill: '#E53935', 'font-size': '11', 'font-weight': '500', 'font-family': FONT_FAMILY }
+  };
+
+  /**
+   * Create a text element
+   * @param {string} text - Text content
+   * @param {Object} attributes - Position and style attributes
+   * @returns {SVGElement} - The text element
+   */
+  function createText(text, attributes) {
+    const element = Charts.createElement('text', { 'font-family': FONT_FAMILY, ...attributes });
+    element.textContent = text;
+    return element;
+  }
+
+  /**
+   * Copy a rendered chart into a nested SVG, dropping interactive parts and inlining styles
+   * @param {SVGElement} chartSvg - SVG from Heatmap.render or Actogram.render
+   * @param {number} x - Left position in the export
+   * @param {number} y - Top position in the export
+   * @returns {Object} - { element, height }
+   */
+  function copyChart(chartSvg, x, y) {
+    const viewBox = chartSvg.viewBox.baseVal;
+    const element = Charts.createElement('svg', {
+      x,
+      y,
+      width: viewBox.width,
+      height: viewBox.height,
+      viewBox: `0 0 ${viewBox.width} ${viewBox.height}`
+    });
+
+    for (const child of chartSvg.childNodes) {
+      element.appendChild(child.cloneNode(true));
+    }
+
+    element.querySelectorAll('.hover-target, .actogram-highlight').forEach(target => target.remove());
+
+    for (const className in INLINE_STYLES) {
+      element.querySelectorAll(`.${className}`).forEach(node => {
+        for (const name in INLINE_STYLES[className]) {
+          if (!node.hasAttribute(name)) {
+            node.setAttribute(name, INLINE_STYLES[className][name]);
+          }
+        }
+      });
+    }
+
+    return { element, height: viewBox.height };
+  }
+
+  /**
+   * Draw the legend: a swatch per visible layer, and optionally the likelihood scale
+   * @param {SVGElement} svg - Export SVG to draw into
+   * @param {Array} layers - Array of { name, color }
+   * @param {boolean} showLikelihoodScale - Whether to draw the "less likely / more likely" gradient
+   * @param {number} y - Top of the legend row
+   * @param {string} textColor - Text color
+   */
+  function drawLegend(svg, layers, showLikelihoodScale, y, textColor) {
+    let x = PADDING;
+    const textY = y + 14;
+
+    for (const layer of layers) {
+      svg.appendChild(Charts.createElement('rect', {
+        x,
+        y: y + 4,
+        width: 12,
+        height: 12,
+        rx: 2,
+        fill: layer.color
+      }));
+      svg.appendChild(createText(layer.name, { x: x + 18, y: textY, 'font-size': 12, fill: textColor }));
+      // Approximate text width; the export has no layout engine to measure with
+      x += 18 + layer.name.length * 7 + 16;
+    }
+
+    if (!showLikelihoodScale) return;
+
+    const gradientId = 'export-likelihood-gradient';
+    const defs = Charts.createElement('defs', {});
+    const gradient = Charts.createElement('linearGradient', { id: gradientId });
+    [[0, 0.1], [0.5, 0.5], [1, 1]].forEach(([offset, opacity]) => {
+      gradient.appendChild(Charts.createElement('stop', {
+        offset,
+        'stop-color': '#66BB6A',
+        'stop-opacity': opacity
+      }));
+    });
+    defs.appendChild(gradient);
+    svg.appendChild(defs);
+
+    x += 8;
+    svg.appendChild(createText('Less likely', { x, y: textY, 'font-size': 12, fill: textColor }));
+    x += 70;
+    svg.appendChild(Charts.createElement('rect', {
+      x,
+      y: y + 4,
+      width: 100,
+      height: 12,
+      rx: 2,
+      fill: `url(#${gradientId})`
+    }));
+    svg.appendChild(createText('More likely', { x: x + 108, y: textY, 'font-size': 12, fill: textColor }));
+  }
+
+  /**
+   * Build a standalone SVG containing a header, legend and the given charts stacked vertically
+   * @param {Array} charts - Array of { title, svg }; title may be empty for a single chart
+   * @param {Object} info - { title, details: string[], layers: [{ name, color }], showLikelihoodScale }
+   * @returns {SVGElement} - Detached SVG ready to serialize
+   */
+  function buildDocument(charts, info) {
+    const isDarkMode = window.matchMedia('(prefers-color-scheme: dark)').matches;
+    const background = isDarkMode ? '#1E1E1E' : '#FFFFFF';
+    const textColor = isDarkMode ? '#E0E0E0' : '#212121';
+    const mutedColor = isDarkMode ? '#A0A0A0' : '#757575';
+
+    const width = Math.max(...charts.map(chart => chart.svg.viewBox.baseVal.width));
+    const svg = Charts.createElement('svg', {});
+    svg.appendChild(Charts.createElement('rect', { width: '100%', height: '100%', fill: background }));
+
+    let y = PADDING;
+    svg.appendChild(createText(info.title, {
+      x: PADDING,
+      y: y + 18,
+      'font-size': 18,
+      'font-weight': 600,
+      fill: textColor
+    }));
+    y += TITLE_HEIGHT;
+
+    for (const detail of info.details) {
+      svg.appendChild(createText(detail, { x: PADDING, y: y + 13, 'font-size': 12, fill: mutedColor }));
+      y += DETAIL_LINE_HEIGHT;
+    }
+
+    y += 6;
+    drawLegend(svg, info.layers, info.showLikelihoodScale, y, textColor);
+    y += LEGEND_HEIGHT;
+
+    for (const chart of charts) {
+      if (chart.title) {
+        svg.appendChild(createText(chart.title, {
+          x: width / 2,
+          y: y + 16,
+          'text-anchor': 'middle',
+          'font-size': 13,
+          'font-weight': 500,
+          fill: textColor
+        }));
+        y += PANEL_TITLE_HEIGHT;
+      }
+
+      const { element, height } = copyChart(chart.svg, 0, y);
+      svg.appendChild(element);
+      y += height;
+    }
+
+    const height = y + PADDING / 2;
+    svg.setAttribute('width', width);
+    svg.setAttribute('height', height);
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+
+    return svg;
+  }
+
+  /**
+   * Serialize an SVG to a standalone file
+   * @param {SVGElement} svg - SVG from buildDocument
+   * @returns {string} - SVG file contents
+   */
+  function serialize(svg) {
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(svg);
+  }
+
+  /**
+   * Rasterize an SVG to a PNG
+   * @param {SVGElement} svg - SVG from buildDocument
+   * @param {number} scale - Output pixels per SVG unit (2 gives a 1400px wide image for a 700 wide chart)
+   * @returns {Promise<Blob>} - The PNG image
+   */
+  function toPng(svg, scale) {
+    const width = Number(svg.getAttribute('width'));
+    const height = Number(svg.getAttribute('height'));
+    const source = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(serialize(svg));
+
+    return new Promise((resolve, reject) => {
+      const image = new Image();
+
+      image.onload = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(width * scale);
+        canvas.height = Math.round(height * scale);
+
+        const context = canvas.getContext('2d');
+        context.scale(scale, scale);
+        context.drawImage(image, 0, 0, width, height);
+
+        canvas.toBlob(blob => {
+          if (blob) {
+            resolve(blob);
+          } else {
+            reject(new Error('Could not create the PNG image'));
+          }
+        }, 'image/png');
+      };
+      image.onerror = () => reject(new Error('Could not draw the chart as an image'));
+      image.src = source;
+    });
+  }
+
+  // Public API
+  return {
+    buildDocument,
+    serialize,
+    toPng
+  };
+})();
@@ -6,6 +6,86 @@
 const Parser = (function() {
   'use strict';
 
+  // Millilitres per US fluid ounce; amounts are stored in ounces whatever unit the export used
+  const ML_PER_OZ = 29.5735;
+
+  // Amount columns, each exported as "<label> (oz.)" or "<label> (ml)" depending on the device's units
+  const AMOUNT_COLUMNS = {
+    amount: 'Amount',
+    leftAmount: 'Left amount',
+    rightAmount: 'Right amount',
+    totalAmount: 'Total amount'
+  };
+
+  /**
+   * Find the amount column with the given label in either unit
+   * @param {Array|Set} fields - Column names from the header row
+   * @param {string} label - Column label without the unit, e.g. "Total amount"
+   * @returns {Object|null} - { name, unit: 'oz'|'ml' } or null if the file has no such column
+   */
+  function findAmountColumn(fields, label) {
+    const pattern = new RegExp(`^${label} \\((oz|ml)\\.?\\)$`, 'i');
+    for (const field of fields) {
+      const match = field.trim().match(pattern);
+      if (match) {
+        return { name: field, unit: match[1].toLowerCase() };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Find every known amount column in a header row
+   * @param {Array} fields - Column names from the header row
+   * @returns {Object} - Keys of AMOUNT_COLUMNS mapped to findAmountColumn results
+   */
+  function findAmountColumns(fields) {
+    const columns = {};
+    for (const [key, label] of Object.entries(AMOUNT_COLUMNS)) {
+      columns[key] = findAmountColumn(fields, label);
+    }
+    return columns;
+  }
+
+  /**
+   * Read an amount from a row, converting it to ounces
+   * @param {Object} row - The raw CSV row
+   * @param {Object|null} column - Result of findAmountColumn
+   * @returns {number} - Amount in ounces, or NaN if missing
+   */
+  function readAmount(row, column) {
+    if (!column) return NaN;
+    const value = parseFloat(row[column.name]);
+    return column.unit === 'ml' ? value / ML_PER_OZ : value;
+  }
+
+  /**
+   * Header signatures for each activity type
+   * A file matches a rule when its header row contains the distinguishing columns
+   */
+  const HEADER_RULES = [
+    {
+      type: 'sleep',
+      matches: fields => fields.has('Duration(minutes)')
+    },
+    {
+      type: 'pumping',
+      matches: fields => Boolean(findAmountColumn(fields, 'Left amount') || findAmountColumn(fields, 'Right amount') || findAmountColumn(fields, 'Total amount'))
+    },
+    {
+      type: 'nursing',
+      matches: fields => fields.has('Total Duration (min)') && !findAmountColumn(fields, 'Total amount') && !findAmountColumn(fields, 'Left amount')
+    },
+    {
+      type: 'bottle',
+      matches: fields => Boolean(findAmountColumn(fields, 'Amount'))
+    },
+    {
+      type: 'diaper',
+      matches: fields => fields.has('Status')
+    }
+  ];
+
   /**
    * Detect activity type from filename
    * @param {string} filename - The name of the CSV file
@@ -22,30 +102,105 @@ const Parser = (function() {
   }
 
   /**
-   * Parse Baby Tracker date format: "M/D/YY, HH:MM" or "M/D/YYYY, HH:MM"
+   * Detect activity type from the CSV header row
+   * @param {Array} fields - Column names from the header row
+   * @returns {string|null} - Activity type, or null if no rule or several rules match
+   */
+  function detectActivityTypeFromHeader(fields) {
+    const fieldSet = new Set((fields || []).map(f => f.trim()));
+    const matches = HEADER_RULES.filter(rule => rule.matches(fieldSet));
+    return matches.length === 1 ? matches[0].type : null;
+  }
+
+  /**
+   * Work out the activity type of a file, preferring its header over its name
+   * @param {Array} fields - Column names from the header row
+   * @param {string} filename - The name of the CSV file
+   * @returns {Object|null} - { type, detectedBy: 'header'|'filename' } or null if unknown
+   */
+  function resolveActivityType(fields, filename) {
+    const headerType = detectActivityTypeFromHeader(fields);
+    if (headerType) return { type: headerType, detectedBy: 'header' };
+
+    const filenameType = detectActivityType(filename);
+    if (filenameType) return { type: filenameType, detectedBy: 'filename' };
+
+    return null;
+  }
+
+  // Supported date component orders
+  const DATE_FORMATS = {
+    mdy: 'mdy',  // 1/13/26 (US, the Baby Tracker default)
+    dmy: 'dmy',  // 13/1/26 or 13.1.26
+    ymd: 'ymd'   // 2026-01-13 (ISO)
+  };
+
+  /**
+   * Split a Baby Tracker timestamp into its components
+   * Accepts "/", "." or "-" date separators, 24-hour or AM/PM times, optional seconds,
+   * and ISO timestamps like "2026-01-13T19:54:00"
    * @param {string} dateStr - Date string from CSV
-   * @returns {Date|null} - Parsed Date object or null if invalid
+   * @returns {Object|null} - { parts: [3 numbers], partLengths, separator, hours, minutes, seconds, meridiem, zone } or null
    */
-  function parseDateTime(dateStr) {
+  function splitDateTime(dateStr) {
     if (!dateStr || typeof dateStr !== 'string') return null;
 
     // Clean up the string
     const cleaned = dateStr.trim().replace(/^"|"$/g, '');
 
-    // Match pattern: M/D/YY, HH:MM or M/D/YYYY, HH:MM
-    const match = cleaned.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2,4}),?\s*(\d{1,2}):(\d{2})$/);
+    const match = cleaned.match(
+      /^(\d{1,4})([/.-])(\d{1,2})\2(\d{1,4})(?:,?\s*|T)(\d{1,2})[:.](\d{2})(?:[:.](\d{2})(?:\.\d+)?)?\s*([AaPp]\.?[Mm]\.?)?\s*(Z|[+-]\d{2}:?\d{2})?$/
+    );
     if (!match) return null;
 
-    let [, month, day, year, hours, minutes] = match;
+    const [, first, separator, second, third, hours, minutes, seconds, meridiem, zone] = match;
 
-    // Convert to numbers
-    month = parseInt(month, 10) - 1; // JavaScript months are 0-indexed
-    day = parseInt(day, 10);
-    year = parseInt(year, 10);
-    hours = parseInt(hours, 10);
-    minutes = parseInt(minutes, 10);
+    return {
+      parts: [first, second, third].map(p => parseInt(p, 10)),
+      partLengths: [first.length, second.length, third.length],
+      separator,
+      hours: parseInt(hours, 10),
+      minutes: parseInt(minutes, 10),
+      seconds: seconds ? parseInt(seconds, 10) : 0,
+      meridiem: meridiem ? meridiem.replace(/\./g, '').toUpperCase() : null,
+      zone: zone || null
+    };
+  }
 
-    // Handle 2-digit year (assume 20XX for years 00-99)
+  /**
+   * Parse a Baby Tracker timestamp: "M/D/YY, HH:MM" by default, or another order given by format
+   * @param {string} dateStr - Date string from CSV
+   * @param {string} format - One of DATE_FORMATS (default 'mdy')
+   * @returns {Date|null} - Parsed Date object or null if invalid
+   */
+  function parseDateTime(dateStr, format = DATE_FORMATS.mdy) {
+    const split = splitDateTime(dateStr);
+    if (!split) return null;
+
+    // A 4-digit first component can only be a year, whatever the configured format
+    const order = split.partLengths[0] === 4 ? DATE_FORMATS.ymd : format;
+
+    let year, month, day;
+    if (order === DATE_FORMATS.ymd) {
+      [year, month, day] = split.parts;
+    } else if (order === DATE_FORMATS.dmy) {
+      [day, month, year] = split.parts;
+    } else {
+      [month, day, year] = split.parts;
+    }
+    month -= 1; // JavaScript months are 0-indexed
+
+    let { hours } = split;
+    const { minutes, seconds, meridiem } = split;
+
+    // Convert 12-hour clock times
+    if (meridiem) {
+      if (hours < 1 || hours > 12) return null;
+      if (meridiem === 'AM' && hours === 12) hours = 0;
+      if (meridiem === 'PM' && hours !== 12) hours += 12;
+    }
+
+    // Handle 2-digit year (assume 20XX for years 00-49)
     if (year < 100) {
       year = year < 50 ? 2000 + year : 1900 + year;
     }
@@ -55,32 +210,149 @@ const Parser = (function() {
     if (day < 1 || day > 31) return null;
     if (hours < 0 || hours > 23) return null;
     if (minutes < 0 || minutes > 59) return null;
+    if (seconds < 0 || seconds > 59) return null;
+
+    // Timestamps with an explicit offset are absolute; everything else is local time
+    const date = split.zone
+      ? new Date(Date.UTC(year, month, day, hours, minutes, seconds) - parseZoneOffset(split.zone))
+      : new Date(year, month, day, hours, minutes, seconds);
+
+    // Reject dates that rolled over into the next month (e.g. 31/2)
+    if (!split.zone && date.getDate() !== day) return null;
+
+    return date;
+  }
+
+  /**
+   * Convert an ISO zone designator to an offset from UTC
+   * @param {string} zone - "Z", "+02:00", "-0500", ...
+   * @returns {number} - Offset in milliseconds
+   */
+  function parseZoneOffset(zone) {
+    if (zone === 'Z') return 0;
+    const sign = zone[0] === '-' ? -1 : 1;
+    const digits = zone.slice(1).replace(':', '');
+    const hours = parseInt(digits.slice(0, 2), 10);
+    const minutes = parseInt(digits.slice(2), 10);
+    return sign * (hours * 60 + minutes) * 60000;
+  }
+
+  /**
+   * Infer the date component order from a file's Time values
+   * Every value is checked, since a single day above 12 anywhere in the file settles the order
+   * @param {Array} values - Raw Time values from one file
+   * @returns {Object} - { format, ambiguous } where format is null if no value could be read
+   */
+  function detectDateFormat(values) {
+    const samples = values
+      .map(splitDateTime)
+      .filter(Boolean);
+
+    if (samples.length === 0) return { format: null, ambiguous: false };
+
+    if (samples.every(sample => sample.partLengths[0] === 4)) {
+      return { format: DATE_FORMATS.ymd, ambiguous: false };
+    }
+
+    // A first component above 12 can only be a day, a second component above 12 only a day too
+    const firstIsDay = samples.some(sample => sample.parts[0] > 12);
+    const secondIsDay = samples.some(sample => sample.parts[1] > 12);
+
+    if (firstIsDay && !secondIsDay) return { format: DATE_FORMATS.dmy, ambiguous: false };
+    if (secondIsDay && !firstIsDay) return { format: DATE_FORMATS.mdy, ambiguous: false };
+
+    // Nothing above 12 (or contradictory values): fall back on the separator's convention
+    const usesDots = samples.every(sample => sample.separator === '.');
+    return {
+      format: usesDots ? DATE_FORMATS.dmy : DATE_FORMATS.mdy,
+      ambiguous: true
+    };
+  }
+
+  /**
+   * Record a problem with a CSV row in the import report
+   * @param {Object} context - { issues, lines } for the current file (see processResults)
+   * @param {number} index - Zero-based index of the row in the parsed data
+   * @param {Object} row - The raw CSV row
+   * @param {string} reason - Human-readable description of the problem
+   * @param {string} severity - 'skipped' if the row was dropped, 'warning' if it was kept
+   */
+  function addIssue(context, index, row, reason, severity = 'skipped') {
+    context.issues.push({
+      line: context.lines[index],
+      severity,
+      reason,
+      raw: Object.assign({}, row)
+    });
+  }
+
+  /**
+   * Explain why a row's Time value couldn't be used
+   * @param {Object} row - The raw CSV row
+   * @returns {string} - Reason for the import report
+   */
+  function describeTimeProblem(row) {
+    return row['Time'] && row['Time'].trim() ? 'Unparseable time' : 'Missing time';
+  }
+
+  /**
+   * Parse a duration column, explaining why it can't be used if invalid
+   * @param {string} value - Raw duration value
+   * @returns {Object} - { duration } if valid, otherwise { problem }
+   */
+  function parseDurationValue(value) {
+    if (!value || !value.trim()) return { problem: 'Missing duration' };
+
+    const duration = parseInt(value, 10);
+    if (isNaN(duration)) return { problem: 'Invalid duration' };
+    if (duration === 0) return { problem: 'Zero duration' };
+    if (duration < 0) return { problem: 'Negative duration' };
+
+    return { duration };
+  }
 
-    return new Date(year, month, day, hours, minutes);
+  /**
+   * Parse a per-side duration column, which is blank when that side wasn't used
+   * @param {string} value - Raw duration value
+   * @returns {number} - Minutes on that side (0 if blank or invalid)
+   */
+  function parseSideMinutes(value) {
+    const minutes = parseInt(value, 10);
+    return isNaN(minutes) || minutes < 0 ? 0 : minutes;
   }
 
   /**
    * Parse sleep CSV data
    * Format: Baby,Time,Duration(minutes),Note
    * @param {Array} rows - Parsed CSV rows
+   * @param {Object} context - { issues, lines, dateFormat, columns } (see processResults)
    * @returns {Array} - Array of sleep activity objects
    */
-  function parseSleep(rows) {
+  function parseSleep(rows, context) {
+    const { dateFormat } = context;
     const activities = [];
 
-    for (const row of rows) {
-      const time = parseDateTime(row['Time']);
-      const duration = parseInt(row['Duration(minutes)'], 10);
+    rows.forEach((row, index) => {
+      const time = parseDateTime(row['Time'], dateFormat);
+      const { duration, problem } = parseDurationValue(row['Duration(minutes)']);
 
-      if (!time || isNaN(duration) || duration <= 0) continue;
+      if (!time) {
+        addIssue(context, index, row, describeTimeProblem(row));
+        return;
+      }
+      if (problem) {
+        addIssue(context, index, row, problem);
+        return;
+      }
 
       activities.push({
         type: 'sleep',
+        baby: row['Baby'] || '',
         start: time,
         durationMinutes: duration,
         note: row['Note'] || ''
       });
-    }
+    });
 
     return activities;
   }
@@ -89,77 +361,121 @@ const Parser = (function() {
    * Parse nursing CSV data
    * Format: Baby,Time,Start Side,Left duration (min),Right duration (min),Total Duration (min),Note
    * @param {Array} rows - Parsed CSV rows
+   * @param {Object} context - { issues, lines, dateFormat, columns } (see processResults)
    * @returns {Array} - Array of nursing activity objects
    */
-  function parseNursing(rows) {
+  function parseNursing(rows, context) {
+    const { dateFormat } = context;
     const activities = [];
 
-    for (const row of rows) {
-      const time = parseDateTime(row['Time']);
-      const duration = parseInt(row['Total Duration (min)'], 10);
+    rows.forEach((row, index) => {
+      const time = parseDateTime(row['Time'], dateFormat);
+      const { duration, problem } = parseDurationValue(row['Total Duration (min)']);
 
-      if (!time || isNaN(duration) || duration <= 0) continue;
+      if (!time) {
+        addIssue(context, index, row, describeTimeProblem(row));
+        return;
+      }
+      if (problem) {
+        addIssue(context, index, row, problem);
+        return;
+      }
 
       activities.push({
         type: 'nursing',
+        baby: row['Baby'] || '',
         start: time,
         durationMinutes: duration,
         startSide: row['Start Side'] || '',
+        leftMinutes: parseSideMinutes(row['Left duration (min)']),
+        rightMinutes: parseSideMinutes(row['Right duration (min)']),
         note: row['Note'] || ''
       });
-    }
+    });
 
     return activities;
   }
 
   /**
    * Parse pumping CSV data
-   * Format: Time,Start Side,Left duration (min),Right duration (min),Total Duration (min),...
+   * Format: Time,Start Side,Left duration (min),Right duration (min),Total Duration (min),
+   *   Left amount (oz.),Right amount (oz.),Total amount (oz.),Note
+   * The total amount is often left blank when the sides were entered, so it falls back to their sum
    * @param {Array} rows - Parsed CSV rows
+   * @param {Object} context - { issues, lines, dateFormat, columns } (see processResults)
    * @returns {Array} - Array of pumping activity objects
    */
-  function parsePumping(rows) {
+  function parsePumping(rows, context) {
+    const { dateFormat, columns } = context;
     const activities = [];
 
-    for (const row of rows) {
-      const time = parseDateTime(row['Time']);
-      const duration = parseInt(row['Total Duration (min)'], 10);
+    rows.forEach((row, index) => {
+      const time = parseDateTime(row['Time'], dateFormat);
+      const { duration, problem } = parseDurationValue(row['Total Duration (min)']);
+
+      if (!time) {
+        addIssue(context, index, row, describeTimeProblem(row));
+        return;
+      }
+      if (problem) {
+        addIssue(context, index, row, problem);
+        return;
+      }
 
-      if (!time || isNaN(duration) || duration <= 0) continue;
+      const leftAmount = readAmount(row, columns.leftAmount);
+      const rightAmount = readAmount(row, columns.rightAmount);
+      let totalAmount = readAmount(row, columns.totalAmount);
+      if (isNaN(totalAmount) && (!isNaN(leftAmount) || !isNaN(rightAmount))) {
+        totalAmount = (leftAmount || 0) + (rightAmount || 0);
+      }
 
       activities.push({
         type: 'pumping',
         start: time,
         durationMinutes: duration,
-        totalAmount: parseFloat(row['Total amount (oz.)']) || 0,
+        leftMinutes: parseSideMinutes(row['Left duration (min)']),
+        rightMinutes: parseSideMinutes(row['Right duration (min)']),
+        leftAmount: leftAmount || 0, // oz
+        rightAmount: rightAmount || 0, // oz
+        totalAmount: totalAmount || 0, // oz
         note: row['Note'] || ''
       });
-    }
+    });
 
     return activities;
   }
 
   /**
    * Parse bottle/expressed milk CSV data
-   * Format: Baby,Time,Amount (oz.),Note
+   * Format: Baby,Time,Amount (oz.),Note (or Amount (ml))
    * @param {Array} rows - Parsed CSV rows
+   * @param {Object} context - { issues, lines, dateFormat, columns } (see processResults); missing amounts are reported as warnings
    * @returns {Array} - Array of bottle activity objects
    */
-  function parseBottle(rows) {
+  function parseBottle(rows, context) {
+    const { dateFormat, columns } = context;
     const activities = [];
 
-    for (const row of rows) {
-      const time = parseDateTime(row['Time']);
+    rows.forEach((row, index) => {
+      const time = parseDateTime(row['Time'], dateFormat);
+
+      if (!time) {
+        addIssue(context, index, row, describeTimeProblem(row));
+        return;
+      }
 
-      if (!time) continue;
+      const amount = readAmount(row, columns.amount);
+      // Keep the feed for the heatmap, but flag it so the amount can be fixed in the app
+      if (isNaN(amount)) addIssue(context, index, row, 'Missing amount', 'warning');
 
       activities.push({
         type: 'bottle',
+        baby: row['Baby'] || '',
         time: time,
-        amount: parseFloat(row['Amount (oz.)']) || 0,
+        amount: amount || 0, // oz
         note: row['Note'] || ''
       });
-    }
+    });
 
     return activities;
   }
@@ -168,152 +484,187 @@ const Parser = (function() {
    * Parse diaper CSV data
    * Format: Baby,Time,Status,Note
    * @param {Array} rows - Parsed CSV rows
+   * @param {Object} context - { issues, lines, dateFormat, columns } (see processResults)
    * @returns {Array} - Array of diaper activity objects
    */
-  function parseDiaper(rows) {
+  function parseDiaper(rows, context) {
+    const { dateFormat } = context;
     const activities = [];
 
-    for (const row of rows) {
-      const time = parseDateTime(row['Time']);
+    rows.forEach((row, index) => {
+      const time = parseDateTime(row['Time'], dateFormat);
 
-      if (!time) continue;
+      if (!time) {
+        addIssue(context, index, row, describeTimeProblem(row));
+        return;
+      }
 
       activities.push({
         type: 'diaper',
+        baby: row['Baby'] || '',
         time: time,
         status: row['Status'] || 'Unknown',
         note: row['Note'] || ''
       });
-    }
+    });
 
     return activities;
   }
 
   /**
-   * Parse a CSV file and return activity data
-   * @param {File} file - The CSV file to parse
-   * @returns {Promise} - Resolves with { type, activities } or rejects with error
+   * Find the line of the file each data row starts on
+   * Blank lines are skipped and quoted notes can span lines, so a row's position in the parsed data isn't its line
+   * @param {string} csvText - The CSV content as text
+   * @returns {Array} - One-based line number of each data row, in the order PapaParse returns them
    */
-  function parseFile(file) {
-    return new Promise((resolve, reject) => {
-      const activityType = detectActivityType(file.name);
-
-      if (!activityType) {
-        reject(new Error(`Unknown file type: ${file.name}`));
-        return;
+  function findRowLines(csvText) {
+    const lines = [];
+    let rowStart = 0;
+    let counted = 0;
+    let lineBreaks = 0;
+
+    // Step through every row, blank ones included, so each row starts where the last one ended
+    Papa.parse(csvText, {
+      step: (result) => {
+        const newline = result.meta.linebreak === '\r' ? '\r' : '\n';
+        lineBreaks += csvText.slice(counted, rowStart).split(newline).length - 1;
+        counted = rowStart;
+        // Same test as skipEmptyLines: 'greedy'
+        if (result.data.join('').trim() !== '') lines.push(lineBreaks + 1);
+        rowStart = result.meta.cursor;
       }
-
-      Papa.parse(file, {
-        header: true,
-        skipEmptyLines: 'greedy', // Skip lines that are empty or contain only whitespace
-        complete: (results) => {
-          // Filter out "TooFewFields" errors - these occur when optional Note column is missing
-          const significantErrors = results.errors.filter(e => e.code !== 'TooFewFields');
-          if (significantErrors.length > 0) {
-            console.warn(`Parse warnings for ${file.name}:`, significantErrors);
-          }
-
-          let activities = [];
-
-          switch (activityType) {
-            case 'sleep':
-              activities = parseSleep(results.data);
-              break;
-            case 'nursing':
-              activities = parseNursing(results.data);
-              break;
-            case 'pumping':
-              activities = parsePumping(results.data);
-              break;
-            case 'bottle':
-              activities = parseBottle(results.data);
-              break;
-            case 'diaper':
-              activities = parseDiaper(results.data);
-              break;
-          }
-
-          resolve({
-            type: activityType,
-            activities: activities,
-            filename: file.name,
-            rowCount: results.data.length,
-            parsedCount: activities.length
-          });
-        },
-        error: (error) => {
-          reject(new Error(`Failed to parse ${file.name}: ${error.message}`));
-        }
-      });
     });
-  }
 
-  /**
-   * Parse multiple CSV files
-   * @param {FileList} files - The files to parse
-   * @returns {Promise} - Resolves with array of parse results
-   */
-  function parseFiles(files) {
-    const promises = Array.from(files).map(file => parseFile(file));
-    return Promise.all(promises);
+    // The first row is the header
+    return lines.slice(1);
   }
 
   /**
-   * Parse CSV text directly (for loading example data)
-   * @param {string} csvText - The CSV content as text
-   * @param {string} filename - The filename to detect activity type
-   * @returns {Object} - { type, activities, filename, rowCount, parsedCount }
+   * Convert PapaParse results into activity data
+   * @param {Object} results - PapaParse results (header mode)
+   * @param {string} filename - The name of the CSV file
+   * @param {Object} options - { dateFormat: 'auto' or one of DATE_FORMATS }
+   * @param {Array} lines - Line number of each row in results.data, from findRowLines
+   * @returns {Object} - { type, detectedBy, dateFormat, dateFormatAmbiguous, activities, issues, filename, rowCount, parsedCount }
    */
-  function parseCSVText(csvText, filename) {
-    const activityType = detectActivityType(filename);
+  function processResults(results, filename, options = {}, lines) {
+    const detection = resolveActivityType(results.meta.fields, filename);
 
-    if (!activityType) {
+    if (!detection) {
       throw new Error(`Unknown file type: ${filename}`);
     }
 
-    const results = Papa.parse(csvText, {
-      header: true,
-      skipEmptyLines: 'greedy' // Skip lines that are empty or contain only whitespace
-    });
-
-    // Filter out "TooFewFields" errors - these occur when optional Note column is missing
-    const significantErrors = results.errors.filter(e => e.code !== 'TooFewFields');
-    if (significantErrors.length > 0) {
-      console.warn(`Parse warnings for ${filename}:`, significantErrors);
-    }
+    // Use the manual override if there is one, otherwise infer the format from the Time column
+    const override = options.dateFormat && options.dateFormat !== 'auto' ? options.dateFormat : null;
+    const dateDetection = override
+      ? { format: override, ambiguous: false }
+      : detectDateFormat(results.data.map(row => row['Time']));
+    const dateFormat = dateDetection.format || DATE_FORMATS.mdy;
 
     let activities = [];
+    const issues = [];
+    const context = {
+      issues,
+      lines,
+      dateFormat,
+      columns: findAmountColumns(results.meta.fields || [])
+    };
 
-    switch (activityType) {
+    // Report malformed rows, apart from "TooFewFields" - these occur when optional Note column is missing
+    // Errors without a row (an undetectable delimiter, which falls back to the comma these exports use) aren't about a record
+    // An unterminated quote is reported one past the last row, so point it at the row it swallowed
+    for (const error of results.errors) {
+      if (error.code === 'TooFewFields' || error.row === undefined) continue;
+      const index = Math.min(error.row, results.data.length - 1);
+      addIssue(context, index, results.data[index], error.message, 'warning');
+    }
+
+    switch (detection.type) {
       case 'sleep':
-        activities = parseSleep(results.data);
+        activities = parseSleep(results.data, context);
         break;
       case 'nursing':
-        activities = parseNursing(results.data);
+        activities = parseNursing(results.data, context);
         break;
       case 'pumping':
-        activities = parsePumping(results.data);
+        activities = parsePumping(results.data, context);
         break;
       case 'bottle':
-        activities = parseBottle(results.data);
+        activities = parseBottle(results.data, context);
         break;
       case 'diaper':
-        activities = parseDiaper(results.data);
+        activities = parseDiaper(results.data, context);
         break;
     }
 
+    // Malformed rows were reported first; list everything in file order
+    issues.sort((a, b) => a.line - b.line);
+
     return {
-      type: activityType,
+      type: detection.type,
+      detectedBy: detection.detectedBy,
+      dateFormat: dateFormat,
+      dateFormatSource: override ? 'override' : 'detected',
+      dateFormatAmbiguous: dateDetection.ambiguous,
       activities: activities,
+      issues: issues,
       filename: filename,
       rowCount: results.data.length,
       parsedCount: activities.length
     };
   }
 
+  /**
+   * Parse a CSV file and return activity data
+   * @param {File} file - The CSV file to parse
+   * @param {Object} options - Parse options (see processResults)
+   * @returns {Promise} - Resolves with { type, detectedBy, activities, ... } or rejects with error
+   */
+  function parseFile(file, options) {
+    // Read the whole text first: finding each row's line needs it, and PapaParse keeps every row in memory anyway
+    return file.text().then(
+      text => parseCSVText(text, file.name, options),
+      error => {
+        throw new Error(`Failed to read ${file.name}: ${error.message}`);
+      }
+    );
+  }
+
+  /**
+   * Parse multiple CSV files
+   * @param {FileList} files - The files to parse
+   * @param {Object} options - Parse options (see processResults)
+   * @returns {Promise} - Resolves with array of parse results
+   */
+  function parseFiles(files, options) {
+    const promises = Array.from(files).map(file => parseFile(file, options));
+    return Promise.all(promises);
+  }
+
+  /**
+   * Parse CSV text directly (for loading example data and ZIP contents)
+   * @param {string} csvText - The CSV content as text
+   * @param {string} filename - The filename, used when the header doesn't identify the activity type
+   * @param {Object} options - Parse options (see processResults)
+   * @returns {Object} - { type, detectedBy, activities, issues, filename, rowCount, parsedCount, ... }
+   */
+  function parseCSVText(csvText, filename, options) {
+    const results = Papa.parse(csvText, {
+      header: true,
+      skipEmptyLines: 'greedy' // Skip lines that are empty or contain only whitespace
+    });
+
+    return processResults(results, filename, options, findRowLines(csvText));
+  }
+
   // Public API
   return {
+    ML_PER_OZ,
     detectActivityType,
+    detectActivityTypeFromHeader,
+    resolveActivityType,
+    DATE_FORMATS,
+    detectDateFormat,
     parseDateTime,
     parseFile,
     parseFiles,
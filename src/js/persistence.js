@@ -0,0 +1,122 @@
+/**
+ * Persistence Module
+ * Opt-in local storage of parsed activities and view settings in IndexedDB
+ * Nothing stored here ever leaves the browser
+ */
+
+const Persistence = (function() {
+  'use strict';
+
+  const DB_NAME = 'baby-tracker-heatmap';
+  const DB_VERSION = 1;
+  const STORE_NAME = 'appState';
+
+  // Record keys within the store
+  const PREFERENCES_KEY = 'preferences';  // { enabled: boolean }
+  const SNAPSHOT_KEY = 'snapshot';        // Activities and view settings
+
+  let dbPromise = null;
+
+  /**
+   * Check whether IndexedDB can be used in this browser
+   * @returns {boolean} - True if IndexedDB is available
+   */
+  function isAvailable() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * Open (and create if needed) the database
+   * @returns {Promise<IDBDatabase>} - The open database
+   */
+  function openDatabase() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(STORE_NAME);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return dbPromise;
+  }
+
+  /**
+   * Run a single request against the store
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} makeRequest - Receives the object store, returns an IDBRequest
+   * @returns {Promise} - Resolves with the request result once the transaction completes
+   */
+  async function runRequest(mode, makeRequest) {
+    const db = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const request = makeRequest(transaction.objectStore(STORE_NAME));
+
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Load the persistence preferences
+   * @returns {Promise<Object>} - { enabled: boolean }
+   */
+  async function loadPreferences() {
+    if (!isAvailable()) return { enabled: false };
+    const preferences = await runRequest('readonly', store => store.get(PREFERENCES_KEY));
+    return preferences || { enabled: false };
+  }
+
+  /**
+   * Save the persistence preferences
+   * @param {Object} preferences - { enabled: boolean }
+   * @returns {Promise}
+   */
+  function savePreferences(preferences) {
+    return runRequest('readwrite', store => store.put(preferences, PREFERENCES_KEY));
+  }
+
+  /**
+   * Load the saved snapshot of activities and settings
+   * @returns {Promise<Object|null>} - The snapshot, or null if none is stored
+   */
+  async function loadSnapshot() {
+    const snapshot = await runRequest('readonly', store => store.get(SNAPSHOT_KEY));
+    return snapshot || null;
+  }
+
+  /**
+   * Save a snapshot of activities and settings, replacing any previous one
+   * Dates survive the round trip because IndexedDB uses structured cloning
+   * @param {Object} snapshot - Plain data to store
+   * @returns {Promise}
+   */
+  function saveSnapshot(snapshot) {
+    return runRequest('readwrite', store => store.put(snapshot, SNAPSHOT_KEY));
+  }
+
+  /**
+   * Delete the saved snapshot
+   * @returns {Promise}
+   */
+  function clearSnapshot() {
+    if (!isAvailable()) return Promise.resolve();
+    return runRequest('readwrite', store => store.delete(SNAPSHOT_KEY));
+  }
+
+  // Public API
+  return {
+    isAvailable,
+    loadPreferences,
+    savePreferences,
+    loadSnapshot,
+    saveSnapshot,
+    clearSnapshot
+  };
+})();
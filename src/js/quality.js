@@ -0,0 +1,194 @@
+/**
+ * Quality Module
+ * Flags records that are probably logging mistakes (a forgotten timer, a sleep logged twice, a typo in the date)
+ * so they can be checked, fixed or left out of the calculations
+ */
+
+const Quality = (function() {
+  'use strict';
+
+  const MS_PER_MINUTE = 60000;
+
+  // Kinds of problem a record can be flagged for
+  const ISSUES = {
+    tooShort: 'tooShort',
+    tooLong: 'tooLong',
+    overlappingSleep: 'overlappingSleep',
+    nursingDuringSleep: 'nursingDuringSleep',
+    future: 'future'
+  };
+
+  // Display labels for ISSUES
+  const ISSUE_LABELS = {
+    tooShort: 'No duration',
+    tooLong: 'Implausibly long',
+    overlappingSleep: 'Overlaps another sleep',
+    nursingDuringSleep: 'Nursing during a logged sleep',
+    future: 'In the future'
+  };
+
+  // Plausible durations in minutes for each duration-based type; anything outside is flagged
+  const DURATION_LIMITS = {
+    sleep: { min: 1, max: 16 * 60 },
+    nursing: { min: 1, max: 120 },
+    pumping: { min: 1, max: 120 }
+  };
+
+  // Nursing this close to either end of a sleep is the usual feed to sleep or on waking, not a conflict
+  const SLEEP_EDGE_MINUTES = 10;
+
+  /**
+   * Add an issue to an activity's flags
+   * @param {Map} flagged - Activity -> array of ISSUES keys
+   * @param {Object} activity - Activity object
+   * @param {string} issue - Key from ISSUES
+   */
+  function flag(flagged, activity, issue) {
+    if (!flagged.has(activity)) {
+      flagged.set(activity, []);
+    }
+    flagged.get(activity).push(issue);
+  }
+
+  /**
+   * Group activities by baby, each group sorted by start
+   * @param {Array} activities - Duration-based activities
+   * @returns {Map} - Baby name -> activities in start order
+   */
+  function groupByBaby(activities) {
+    const groups = new Map();
+    for (const activity of activities) {
+      const baby = activity.baby || '';
+      if (!groups.has(baby)) {
+        groups.set(baby, []);
+      }
+      groups.get(baby).push(activity);
+    }
+    for (const group of groups.values()) {
+      group.sort((a, b) => a.start - b.start);
+    }
+    return groups;
+  }
+
+  /**
+   * Flag sleeps that start before an earlier sleep of the same baby has ended
+   * @param {Array} sleeps - Sleep activities
+   * @param {Map} flagged - Flags so far (modified in place)
+   */
+  function checkOverlappingSleeps(sleeps, flagged) {
+    for (const group of groupByBaby(sleeps).values()) {
+      let latestEnd = -Infinity;
+      for (const sleep of group) {
+        const start = sleep.start.getTime();
+        if (start < latestEnd) flag(flagged, sleep, ISSUES.overlappingSleep);
+        latestEnd = Math.max(latestEnd, start + sleep.durationMinutes * MS_PER_MINUTE);
+      }
+    }
+  }
+
+  /**
+   * Flag nursing sessions that start well inside a logged sleep of the same baby
+   * @param {Array} nursings - Nursing activities
+   * @param {Array} sleeps - Sleep activities
+   * @param {Map} flagged - Flags so far (modified in place)
+   */
+  function checkNursingDuringSleep(nursings, sleeps, flagged) {
+    const edge = SLEEP_EDGE_MINUTES * MS_PER_MINUTE;
+
+    for (const [baby, group] of groupByBaby(sleeps)) {
+      // Latest end among each sleep and all those starting before it, so one binary search answers
+      // "is any sleep that started before this time still running?"
+      const starts = group.map(sleep => sleep.start.getTime());
+      const latestEnds = [];
+      group.forEach((sleep, index) => {
+        const end = starts[index] + sleep.durationMinutes * MS_PER_MINUTE;
+        latestEnds.push(index > 0 ? Math.max(latestEnds[index - 1], end) : end);
+      });
+
+      for (const nursing of nursings) {
+        if ((nursing.baby || '') !== baby) continue;
+        const time = nursing.start.getTime();
+
+        // Last sleep starting at least SLEEP_EDGE_MINUTES before the nursing
+        let low = 0;
+        let high = starts.length - 1;
+        let found = -1;
+        while (low <= high) {
+          const middle = (low + high) >> 1;
+          if (starts[middle] <= time - edge) {
+            found = middle;
+            low = middle + 1;
+          } else {
+            high = middle - 1;
+          }
+        }
+
+        if (found !== -1 && latestEnds[found] >= time + edge) {
+          flag(flagged, nursing, ISSUES.nursingDuringSleep);
+        }
+      }
+    }
+  }
+
+  /**
+   * Check every activity for implausible values
+   * @param {Object} activities - Object with arrays for each activity type
+   * @param {Date} now - Current time, for future timestamps (defaults to now)
+   * @returns {Object} - { flagged: Map of activity -> array of ISSUES keys, counts: ISSUES key -> records flagged }
+   */
+  function check(activities, now = new Date()) {
+    const flagged = new Map();
+    const nowTime = now.getTime();
+
+    for (const type in activities) {
+      const limits = DURATION_LIMITS[type];
+      for (const activity of activities[type]) {
+        if ((activity.start || activity.time).getTime() > nowTime) {
+          flag(flagged, activity, ISSUES.future);
+        }
+        if (!limits) continue;
+        if (activity.durationMinutes < limits.min) flag(flagged, activity, ISSUES.tooShort);
+        if (activity.durationMinutes > limits.max) flag(flagged, activity, ISSUES.tooLong);
+      }
+    }
+
+    checkOverlappingSleeps(activities.sleep, flagged);
+    checkNursingDuringSleep(activities.nursing, activities.sleep, flagged);
+
+    const counts = {};
+    for (const issue in ISSUES) {
+      counts[issue] = 0;
+    }
+    for (const issues of flagged.values()) {
+      for (const issue of issues) {
+        counts[issue]++;
+      }
+    }
+
+    return { flagged, counts };
+  }
+
+  /**
+   * Remove flagged records
+   * @param {Object} activities - Object with arrays for each activity type
+   * @param {Map} flagged - Flags from check
+   * @returns {Object} - New activities object without the flagged records
+   */
+  function exclude(activities, flagged) {
+    const included = {};
+    for (const type in activities) {
+      included[type] = activities[type].filter(activity => !flagged.has(activity));
+    }
+    return included;
+  }
+
+  // Public API
+  return {
+    ISSUES,
+    ISSUE_LABELS,
+    DURATION_LIMITS,
+    SLEEP_EDGE_MINUTES,
+    check,
+    exclude
+  };
+})();